@@ -22,15 +22,36 @@ new Cli({
                 clientId: "",
                 clientSecret: "",
                 publicUrlBase: "",
+                admins: [],
                 appearance: {
                     displayName: "Instagram Bridge",
                     avatarUrl: "http://i.imgur.com/DQKje5W.png" // instagram icon
                 },
                 rateLimitConfig: {
+                    requestConcurrency: 4,
+                    requestsPerHour: 4500,
                     mediaCheckFrequency: 1.5,
+                    mediaPollFrequency: 15,
+                    mediaUpdatesPerTick: 500,
+                    mediaReconcileFrequency: 60,
+                    mediaReconcileWindow: 24,
+                    commentCheckFrequency: 30,
+                    commentCheckWindow: 24,
+                    feedCheckFrequency: 10,
+                    feedUpdatesPerTick: 50,
+                    feedPostsPerCheck: 5,
                     profileUpdateFrequency: 30,
                     profileCacheTime: 1,
-                    profileUpdatesPerTick: 500
+                    profileUpdatesPerTick: 500,
+                    profileCacheSize: 1000
+                },
+                backfill: {
+                    maxPosts: 5,
+                    maxDays: 0
+                },
+                upload: {
+                    maxSize: 50,
+                    retries: 3
                 }
             },
             web: {
@@ -61,6 +82,7 @@ new Cli({
 
         registration.addRegexPattern("users", "@_instagram.*");
         registration.addRegexPattern("aliases", "#_instagram.*");
+        registration.setProtocols(["instagram"]);
 
         callback(registration);
     },
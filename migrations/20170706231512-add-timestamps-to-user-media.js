@@ -0,0 +1,29 @@
+'use strict';
+
+var dbm;
+var type;
+var seed;
+
+/**
+ * We receive the dbmigrate dependency from dbmigrate initially.
+ * This enables us to not have to rely on NODE_PATH.
+ */
+exports.setup = function (options, seedLink) {
+    dbm = options.dbmigrate;
+    type = dbm.dataType;
+    seed = seedLink;
+};
+
+exports.up = function (db) {
+    return db.addColumn('user_media', 'bridgedAt', {type: 'timestamp', notNull: false})
+        .then(() => db.addColumn('user_media', 'redactedAt', {type: 'timestamp', notNull: false}));
+};
+
+exports.down = function (db) {
+    return db.removeColumn('user_media', 'redactedAt')
+        .then(() => db.removeColumn('user_media', 'bridgedAt'));
+};
+
+exports._meta = {
+    "version": 1
+};
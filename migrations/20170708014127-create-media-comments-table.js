@@ -0,0 +1,33 @@
+'use strict';
+
+var dbm;
+var type;
+var seed;
+
+/**
+ * We receive the dbmigrate dependency from dbmigrate initially.
+ * This enables us to not have to rely on NODE_PATH.
+ */
+exports.setup = function (options, seedLink) {
+    dbm = options.dbmigrate;
+    type = dbm.dataType;
+    seed = seedLink;
+};
+
+exports.up = function (db) {
+    return db.createTable("media_comments", {
+        id: {type: 'int', primaryKey: true, autoIncrement: true, notNull: true},
+        mediaId: {type: 'string', notNull: true},
+        commentId: {type: 'string', notNull: true},
+        mxEventId: {type: 'string', notNull: true},
+        mxRoomId: {type: 'string', notNull: true}
+    });
+};
+
+exports.down = function (db) {
+    return db.dropTable('media_comments');
+};
+
+exports._meta = {
+    "version": 1
+};
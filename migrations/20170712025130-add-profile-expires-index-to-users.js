@@ -0,0 +1,27 @@
+'use strict';
+
+var dbm;
+var type;
+var seed;
+
+/**
+ * We receive the dbmigrate dependency from dbmigrate initially.
+ * This enables us to not have to rely on NODE_PATH.
+ */
+exports.setup = function (options, seedLink) {
+    dbm = options.dbmigrate;
+    type = dbm.dataType;
+    seed = seedLink;
+};
+
+exports.up = function (db) {
+    return db.addIndex('users', 'idx_users_profile_expires', ['profileExpires']);
+};
+
+exports.down = function (db) {
+    return db.removeIndex('users', 'idx_users_profile_expires');
+};
+
+exports._meta = {
+    "version": 1
+};
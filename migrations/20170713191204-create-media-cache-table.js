@@ -0,0 +1,34 @@
+'use strict';
+
+var dbm;
+var type;
+var seed;
+
+/**
+ * We receive the dbmigrate dependency from dbmigrate initially.
+ * This enables us to not have to rely on NODE_PATH.
+ */
+exports.setup = function (options, seedLink) {
+    dbm = options.dbmigrate;
+    type = dbm.dataType;
+    seed = seedLink;
+};
+
+exports.up = function (db) {
+    return db.createTable("media_cache", {
+        id: {type: 'int', primaryKey: true, autoIncrement: true, notNull: true},
+        sourceUrl: {type: 'string', notNull: true},
+        contentHash: {type: 'string', notNull: false},
+        mxcUrl: {type: 'string', notNull: true},
+        createdAt: {type: 'timestamp', notNull: false}
+    }).then(() => db.addIndex('media_cache', 'idx_media_cache_source_url', ['sourceUrl']))
+        .then(() => db.addIndex('media_cache', 'idx_media_cache_content_hash', ['contentHash']));
+};
+
+exports.down = function (db) {
+    return db.dropTable('media_cache');
+};
+
+exports._meta = {
+    "version": 1
+};
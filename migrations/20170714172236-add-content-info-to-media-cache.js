@@ -0,0 +1,29 @@
+'use strict';
+
+var dbm;
+var type;
+var seed;
+
+/**
+ * We receive the dbmigrate dependency from dbmigrate initially.
+ * This enables us to not have to rely on NODE_PATH.
+ */
+exports.setup = function (options, seedLink) {
+    dbm = options.dbmigrate;
+    type = dbm.dataType;
+    seed = seedLink;
+};
+
+exports.up = function (db) {
+    return db.addColumn('media_cache', 'size', {type: 'int', notNull: false})
+        .then(() => db.addColumn('media_cache', 'mimetype', {type: 'string', notNull: false}));
+};
+
+exports.down = function (db) {
+    return db.removeColumn('media_cache', 'mimetype')
+        .then(() => db.removeColumn('media_cache', 'size'));
+};
+
+exports._meta = {
+    "version": 1
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+var dbm;
+var type;
+var seed;
+
+/**
+ * We receive the dbmigrate dependency from dbmigrate initially.
+ * This enables us to not have to rely on NODE_PATH.
+ */
+exports.setup = function (options, seedLink) {
+    dbm = options.dbmigrate;
+    type = dbm.dataType;
+    seed = seedLink;
+};
+
+exports.up = function (db) {
+    return db.createTable("admin_rooms", {
+        id: {type: 'int', primaryKey: true, autoIncrement: true, notNull: true},
+        roomId: {type: 'string', notNull: true, unique: true},
+        ownerMxId: {type: 'string', notNull: true},
+        createdAt: {type: 'timestamp', notNull: false}
+    }).then(() => db.createTable("admin_room_confirmations", {
+        id: {type: 'int', primaryKey: true, autoIncrement: true, notNull: true},
+        roomId: {type: 'string', notNull: true, unique: true},
+        mxId: {type: 'string', notNull: true},
+        command: {type: 'string', notNull: true},
+        data: {type: 'text', notNull: false},
+        expiresAt: {type: 'timestamp', notNull: true}
+    }));
+};
+
+exports.down = function (db) {
+    return db.dropTable('admin_room_confirmations')
+        .then(() => db.dropTable('admin_rooms'));
+};
+
+exports._meta = {
+    "version": 1
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+var dbm;
+var type;
+var seed;
+
+/**
+ * We receive the dbmigrate dependency from dbmigrate initially.
+ * This enables us to not have to rely on NODE_PATH.
+ */
+exports.setup = function (options, seedLink) {
+    dbm = options.dbmigrate;
+    type = dbm.dataType;
+    seed = seedLink;
+};
+
+// SQLite can't change columns in place, so the table is rebuilt
+function rebuildMediaTable(db, allowBotMedia, copySql) {
+    var columns = {
+        id: {type: 'int', primaryKey: true, autoIncrement: true, notNull: true},
+        userId: {
+            type: 'string',
+            notNull: !allowBotMedia,
+            foreignKey: {
+                name: 'fk_user_media_user_id_users_id',
+                table: 'users',
+                mapping: 'id',
+                rules: {onDelete: 'CASCADE', onUpdate: 'CASCADE'}
+            }
+        },
+        mediaId: {type: 'string', notNull: true},
+        mxEventId: {type: 'string', notNull: true},
+        mxRoomId: {type: 'string', notNull: true},
+        bridgedAt: {type: 'timestamp', notNull: false},
+        redactedAt: {type: 'timestamp', notNull: false}
+    };
+    if (allowBotMedia) columns.authorAccountId = {type: 'string', notNull: false};
+
+    return db.createTable("user_media_rebuild", columns)
+        .then(() => db.runSql(copySql))
+        .then(() => db.dropTable('user_media'))
+        .then(() => db.renameTable('user_media_rebuild', 'user_media'));
+}
+
+exports.up = function (db) {
+    return rebuildMediaTable(db, true,
+        "INSERT INTO user_media_rebuild (id, userId, authorAccountId, mediaId, mxEventId, mxRoomId, bridgedAt, redactedAt) " +
+        "SELECT m.id, m.userId, u.accountId, m.mediaId, m.mxEventId, m.mxRoomId, m.bridgedAt, m.redactedAt " +
+        "FROM user_media m LEFT JOIN users u ON u.id = m.userId");
+};
+
+exports.down = function (db) {
+    // Media posted by the bridge bot has no user, and can't be kept
+    return rebuildMediaTable(db, false,
+        "INSERT INTO user_media_rebuild (id, userId, mediaId, mxEventId, mxRoomId, bridgedAt, redactedAt) " +
+        "SELECT id, userId, mediaId, mxEventId, mxRoomId, bridgedAt, redactedAt " +
+        "FROM user_media WHERE userId IS NOT NULL");
+};
+
+exports._meta = {
+    "version": 1
+};
@@ -1,5 +1,6 @@
 var Bridge = require("matrix-appservice-bridge").Bridge;
 var RemoteRoom = require("matrix-appservice-bridge").RemoteRoom;
+var MatrixRoom = require("matrix-appservice-bridge").MatrixRoom;
 var RemoteUser = require("matrix-appservice-bridge").RemoteUser;
 var log = require("./util/LogService");
 var ProfileService = require("./instagram/ProfileService");
@@ -8,11 +9,28 @@ var util = require("./util/utils.js");
 var WebService = require("./WebService");
 var OAuthService = require("./instagram/OAuthService");
 var MediaHandler = require("./instagram/MediaHandler");
+var MediaPoller = require("./instagram/MediaPoller");
+var MediaReconciler = require("./instagram/MediaReconciler");
+var CommentHandler = require("./instagram/CommentHandler");
+var FeedPoller = require("./instagram/FeedPoller");
+var InstagramApiHandler = require("./instagram/InstagramApiHandler");
+var RequestScheduler = require("./instagram/RequestScheduler");
+var Priority = RequestScheduler.Priority;
 var _ = require('lodash');
 var AdminRoom = require("./matrix/AdminRoom");
 var InstagramStore = require("./storage/InstagramStore");
+var CaptionFormatter = require("./matrix/CaptionFormatter");
+var ThirdPartyLookup = require("./matrix/ThirdPartyLookup");
+var MediaCache = require("./matrix/MediaCache");
+var RoomSettingsHandler = require("./matrix/RoomSettingsHandler");
+var LruCache = require("./util/LruCache");
 var moment = require('moment');
 
+const LIKE_REACTIONS = ["❤️", "❤", "♥️", "♥"];
+const MIN_LINK_POWER_LEVEL = 50; // room moderators and up may bridge accounts into their room
+const MEDIA_STATS_CACHE_SIZE = 5000; // last statistics sent for recently bridged media, to skip unchanged updates
+const HELD_MEDIA_CACHE_SIZE = 500; // new posts waiting for enough likes to be posted to a room
+
 /**
  * The main entry point for the application - bootstraps the bridge
  */
@@ -29,9 +47,15 @@ class InstagramBridge {
         this._config = config;
         this._registration = registration;
         this._adminRooms = {}; // { roomId: AdminRoom }
+        this._mediaStats = new LruCache(MEDIA_STATS_CACHE_SIZE); // { mediaId: { likes, comments } }
+        this._roomQueues = {}; // { roomId: Promise } - media waiting to be posted to the room
+        this._heldMedia = new LruCache(HELD_MEDIA_CACHE_SIZE); // { mediaId: { media, rooms, userIntent } } - media waiting for likes
 
         WebService.bind(config.web.bind, config.web.port);
         OAuthService.prepare(config.instagram.clientId, config.instagram.clientSecret, config.instagram.publicUrlBase);
+        util.setUploadOptions(config.instagram.upload.maxSize, config.instagram.upload.retries);
+
+        var thirdPartyLookup = new ThirdPartyLookup(config.homeserver.domain, config.instagram.appearance.avatarUrl);
 
         this._bridge = new Bridge({
             registration: this._registration,
@@ -45,9 +69,8 @@ class InstagramBridge {
                 onLog: (line, isError) => {
                     var method = isError ? log.error : log.verbose;
                     method("matrix-appservice-bridge", line);
-                }
-
-                // TODO: thirdPartyLookup support?
+                },
+                thirdPartyLookup: thirdPartyLookup.getController()
             },
             suppressEcho: false,
             queue: {
@@ -64,8 +87,17 @@ class InstagramBridge {
             }
         });
 
+        this._captionFormatter = new CaptionFormatter(this._config.homeserver.domain);
+        this._roomSettings = new RoomSettingsHandler(this);
+
         PubSub.subscribe('profileUpdate', this._onProfileUpdate.bind(this));
+        PubSub.subscribe('usernameChanged', this._onUsernameChanged.bind(this));
         PubSub.subscribe('newMedia', this._onMedia.bind(this));
+        PubSub.subscribe('newFeedMedia', this._onFeedMedia.bind(this));
+        PubSub.subscribe('mediaDeleted', this._onMediaDeleted.bind(this));
+        PubSub.subscribe('newComment', this._onComment.bind(this));
+        PubSub.subscribe('mediaStats', this._onMediaStats.bind(this));
+        PubSub.subscribe('tokenInvalidated', this._onTokenInvalidated.bind(this));
     }
 
     /**
@@ -75,9 +107,15 @@ class InstagramBridge {
      */
     run(port) {
         log.info("InstagramBridge", "Starting bridge");
-        return ProfileService.prepare(this._config.instagram.rateLimitConfig.profileUpdateFrequency, this._config.instagram.rateLimitConfig.profileCacheTime, this._config.instagram.rateLimitConfig.profileUpdatesPerTick)
+        var rateLimitConfig = this._config.instagram.rateLimitConfig;
+        return RequestScheduler.prepare(rateLimitConfig.requestConcurrency, rateLimitConfig.requestsPerHour)
+            .then(() => ProfileService.prepare(rateLimitConfig.profileUpdateFrequency, rateLimitConfig.profileCacheTime, rateLimitConfig.profileUpdatesPerTick, rateLimitConfig.profileCacheSize))
             .then(() => MediaHandler.prepare(this._config.instagram.clientId, this._config.instagram.clientSecret, this._config.instagram.publicUrlBase))
             .then(() => this._bridge.run(port, this._config))
+            .then(() => MediaPoller.prepare(rateLimitConfig.mediaPollFrequency, rateLimitConfig.mediaCheckFrequency, rateLimitConfig.mediaUpdatesPerTick))
+            .then(() => MediaReconciler.prepare(rateLimitConfig.mediaReconcileFrequency, rateLimitConfig.mediaReconcileWindow))
+            .then(() => CommentHandler.prepare(rateLimitConfig.commentCheckFrequency, rateLimitConfig.commentCheckWindow))
+            .then(() => FeedPoller.prepare(rateLimitConfig.feedCheckFrequency, rateLimitConfig.feedUpdatesPerTick, rateLimitConfig.feedPostsPerCheck))
             .then(() => this._updateBotProfile())
             .then(() => this._bridgeKnownRooms())
             .catch(error => log.error("InstagramBridge", error));
@@ -110,6 +148,18 @@ class InstagramBridge {
         return intent;
     }
 
+    /**
+     * Gets the intent for an Instagram virtual user without looking up their profile. Unlike `getIgUserIntent`,
+     * this doesn't create a bridge user for the account, so the account's media isn't polled. Used for people
+     * who only show up through other rooms, such as feed authors and commenters.
+     * @param {string} handle the Instagram username
+     * @return {Intent} the virtual user intent
+     * @private
+     */
+    _getUntrackedIgUserIntent(handle) {
+        return this._bridge.getIntentFromLocalpart("_instagram_" + handle);
+    }
+
     /**
      * Determines if a user is a bridge user (either the bot or virtual)
      * @param {string} userId the user ID to check
@@ -120,6 +170,186 @@ class InstagramBridge {
         return isVirtualUser || userId == this._bridge.getBot().getUserId();
     }
 
+    /**
+     * Determines if a matrix user is a bridge admin, as configured by the bridge operator
+     * @param {string} userId the matrix user ID to check
+     * @return {boolean} true if the user is a bridge admin, false otherwise
+     */
+    isBridgeAdmin(userId) {
+        return (this._config.instagram.admins || []).indexOf(userId) !== -1;
+    }
+
+    /**
+     * Gets the Instagram username for a virtual user
+     * @param {string} userId the matrix user ID
+     * @return {string} the Instagram username, or null if the user is not a virtual user
+     */
+    getHandleFromUserId(userId) {
+        var suffix = ":" + this._bridge.opts.domain;
+        if (userId.indexOf("@_instagram_") !== 0 || !userId.endsWith(suffix)) return null;
+        return userId.substring("@_instagram_".length, userId.length - suffix.length);
+    }
+
+    /**
+     * Delists Instagram accounts: flags them so no new media is posted and redacts all of the media that has
+     * been posted for them. This does not revoke any authorization the accounts have given the bridge.
+     * @param {User[]} accounts the accounts to delist
+     * @return {Promise<{redacted: number, failed: number}>} resolves to how many events were and were not redacted
+     */
+    delistAccounts(accounts) {
+        var result = {redacted: 0, failed: 0};
+
+        return Promise.all(accounts.map(account => {
+            return InstagramStore.flagDelisted(account.id, true)
+                .then(() => InstagramStore.getMediaEventsByAuthor(account.accountId))
+                .then(events => events.map(e => ({event: e, username: account.username})));
+        })).then(results => {
+            var allEvents = _.flatten(results);
+            log.info("InstagramBridge", "Redacting " + allEvents.length + " events for " + accounts.map(a => a.username).join(", "));
+
+            return allEvents.reduce((prev, cur) => prev.then(() => {
+                if (cur.event.redactedAt) return; // already gone
+                var intent = cur.event.userId ? this.getIgUserIntent(cur.username) : this.getBotIntent();
+                log.verbose("InstagramBridge", "Redacting event " + cur.event.mxEventId + " in room " + cur.event.mxRoomId + " for Instagram username " + cur.username);
+                return intent.getClient().redactEvent(cur.event.mxRoomId, cur.event.mxEventId).then(() => {
+                    result.redacted++;
+                    return InstagramStore.flagMediaEventRedacted(cur.event.id);
+                }, () => result.failed++);
+            }), Promise.resolve());
+        }).then(() => {
+            log.info("InstagramBridge", "Done redacting events for " + accounts.map(a => a.username).join(", "));
+            return result;
+        });
+    }
+
+    /**
+     * Bridges an Instagram account into a matrix room on behalf of a matrix user. The user must have power
+     * in the room, and the bridge bot must be able to join it. The account's virtual user is invited to the room.
+     * @param {string} roomIdOrAlias the room ID or alias of the matrix room
+     * @param {string} handle the Instagram username to bridge
+     * @param {string} mxId the matrix user ID requesting the link
+     * @return {Promise<string>} resolves to the room ID that was linked. Rejects with a user-friendly message on failure.
+     */
+    linkRoom(roomIdOrAlias, handle, mxId) {
+        var roomId = null;
+        var botIntent = this.getBotIntent();
+
+        return ProfileService.getProfile(handle).catch(() => null).then(profile => {
+            if (!profile || !profile.accountId) return Promise.reject(new Error("I couldn't find the Instagram account '" + handle + "'"));
+            return this._resolveRoom(roomIdOrAlias, mxId);
+        }).then(id => {
+            roomId = id;
+            return this._recordLink(roomId, handle, mxId);
+        }).then(created => {
+            if (!created) return Promise.reject(new Error(handle + " is already bridged to " + roomIdOrAlias));
+
+            // A room with just the bot and the user may have been mistaken for an admin room when we joined
+            if (this._adminRooms[roomId]) this.removeAdminRoom(roomId);
+
+            log.info("InstagramBridge", mxId + " bridged " + handle + " to room " + roomId);
+            return botIntent.invite(roomId, "@_instagram_" + handle + ":" + this._bridge.opts.domain);
+        }).then(() => roomId);
+    }
+
+    /**
+     * Removes a bridge between an Instagram account and a matrix room on behalf of a matrix user. The user
+     * must have power in the room. The account's virtual user leaves the room.
+     * @param {string} roomIdOrAlias the room ID or alias of the matrix room
+     * @param {string} handle the Instagram username to unbridge
+     * @param {string} mxId the matrix user ID requesting the removal
+     * @return {Promise<string>} resolves to the room ID that was unlinked. Rejects with a user-friendly message on failure.
+     */
+    unlinkRoom(roomIdOrAlias, handle, mxId) {
+        var roomId = null;
+        var roomStore = this._bridge.getRoomStore();
+
+        return this._resolveRoom(roomIdOrAlias, mxId).then(id => {
+            roomId = id;
+            return roomStore.getEntriesByRemoteRoomData({instagram_username: handle});
+        }).then(entries => {
+            var entry = entries.find(e => e.matrix.roomId === roomId);
+            if (!entry) return Promise.reject(new Error(handle + " is not bridged to " + roomIdOrAlias));
+            return roomStore.delete({id: entry.id});
+        }).then(() => {
+            log.info("InstagramBridge", mxId + " unbridged " + handle + " from room " + roomId);
+            return this._bridge.getIntent("@_instagram_" + handle + ":" + this._bridge.opts.domain).leave(roomId);
+        }).then(() => roomId);
+    }
+
+    /**
+     * Records that an Instagram account is bridged to a matrix room, if it isn't already
+     * @param {string} roomId the matrix room ID
+     * @param {string} handle the Instagram username
+     * @param {string} mxId the matrix user ID that bridged the account
+     * @return {Promise<boolean>} resolves to true if the link was created, false if it already existed
+     * @private
+     */
+    _recordLink(roomId, handle, mxId) {
+        var roomStore = this._bridge.getRoomStore();
+        return roomStore.getEntriesByRemoteRoomData({instagram_username: handle}).then(entries => {
+            if (entries.find(e => e.matrix.roomId === roomId)) return false;
+
+            var remoteRoom = new RemoteRoom("_instagram_" + handle);
+            remoteRoom.set("instagram_username", handle);
+            remoteRoom.set("bridged_by", mxId);
+            return roomStore.linkRooms(new MatrixRoom(roomId), remoteRoom).then(() => true);
+        });
+    }
+
+    /**
+     * Lists the rooms a matrix user has bridged Instagram accounts into
+     * @param {string} mxId the matrix user ID to look up
+     * @return {Promise<{roomId: string, handle: string}[]>} resolves to the bridged rooms
+     */
+    getLinkedRoomsFor(mxId) {
+        return this._bridge.getRoomStore().getEntriesByRemoteRoomData({bridged_by: mxId}).then(entries => {
+            return entries.map(e => ({roomId: e.matrix.roomId, handle: e.remote.get("instagram_username")}));
+        });
+    }
+
+    /**
+     * Resolves a room ID or alias to a room the bridge bot is in, and makes sure the user has enough power
+     * in the room to change what is bridged to it. The power check happens before the bot joins, so the bot
+     * only joins rooms it is invited to (which it accepts on its own) or can already see.
+     * @param {string} roomIdOrAlias the room ID or alias to resolve
+     * @param {string} mxId the matrix user ID that needs power in the room
+     * @return {Promise<string>} resolves to the room ID. Rejects with a user-friendly message on failure.
+     * @private
+     */
+    _resolveRoom(roomIdOrAlias, mxId) {
+        var botIntent = this.getBotIntent();
+        var roomId = roomIdOrAlias;
+
+        var idPromise = Promise.resolve(roomIdOrAlias);
+        if (roomIdOrAlias[0] === "#") {
+            idPromise = botIntent.getClient().getRoomIdForAlias(roomIdOrAlias).then(result => result.room_id, () => {
+                return Promise.reject(new Error("I couldn't find the room " + roomIdOrAlias));
+            });
+        } else if (roomIdOrAlias[0] !== "!") {
+            return Promise.reject(new Error(roomIdOrAlias + " is not a room ID or alias"));
+        }
+
+        var cannotSee = () => new Error("I couldn't see who can change " + roomIdOrAlias + ". Please invite " + this._bridge.getBot().getUserId() + " to the room first.");
+
+        return idPromise.then(id => {
+            roomId = id;
+            return botIntent.getClient().getStateEvent(roomId, "m.room.power_levels", "").catch(err => {
+                // No power levels means everyone is at the default of zero
+                if (err && err.errcode === "M_NOT_FOUND") return {};
+                return Promise.reject(cannotSee());
+            });
+        }).then(powerLevels => {
+            var users = powerLevels.users || {};
+            var userLevel = users[mxId] !== undefined ? users[mxId] : (powerLevels.users_default || 0);
+            if (userLevel < MIN_LINK_POWER_LEVEL)
+                return Promise.reject(new Error("You need a power level of at least " + MIN_LINK_POWER_LEVEL + " in " + roomIdOrAlias + " to change what is bridged there"));
+
+            return botIntent.join(roomId).catch(() => {
+                return Promise.reject(new Error("I couldn't join " + roomIdOrAlias + ". If the room is private, please invite " + this._bridge.getBot().getUserId() + " first."));
+            });
+        }).then(() => roomId);
+    }
+
     /**
      * Updates the bridge bot's appearance in matrix
      * @private
@@ -135,13 +365,12 @@ class InstagramBridge {
         InstagramStore.getBotAccountData().then(botProfile => {
             var avatarUrl = botProfile.avatarUrl;
             if (!avatarUrl || avatarUrl !== desiredAvatarUrl) {
-                util.uploadContentFromUrl(this._bridge, desiredAvatarUrl, botIntent).then(mxcUrl => {
+                MediaCache.uploadFromUrl(this._bridge, desiredAvatarUrl, botIntent).then(mxcUrl => {
                     log.verbose("InstagramBridge", "Avatar MXC URL = " + mxcUrl);
                     log.info("InstagramBridge", "Updating avatar for bridge bot");
                     botIntent.setAvatarUrl(mxcUrl);
-                    botProfile.avatarUrl = desiredAvatarUrl;
-                    InstagramStore.setBotAccountData(botProfile);
-                });
+                    return InstagramStore.updateBotAccountData(data => data.avatarUrl = desiredAvatarUrl);
+                }).catch(err => log.error("InstagramBridge", err));
             }
             botIntent.getProfileInfo(this._bridge.getBot().getUserId(), 'displayname').then(profile => {
                 if (profile.displayname != desiredDisplayName) {
@@ -161,24 +390,90 @@ class InstagramBridge {
     _onProfileUpdate(topic, changes) {
         // Update user aspects
         var intent = this.getIgUserIntent(changes.username);
+        var avatarPromise = null;
         if (changes.changed == 'displayName') {
             intent.setDisplayName(changes.profile.displayName + " (Instagram)");
         } else if (changes.changed == 'avatar') {
-            util.uploadContentFromUrl(this._bridge, changes.profile.avatarUrl, intent, 'profile.png')
-                .then(mxcUrl => intent.setAvatarUrl(mxcUrl));
+            avatarPromise = MediaCache.uploadFromUrl(this._bridge, changes.profile.avatarUrl, intent, 'profile.png');
+            avatarPromise.then(mxcUrl => intent.setAvatarUrl(mxcUrl)).catch(err => log.error("InstagramBridge", err));
         } else log.warn("InstagramBridge", "Unrecongized profile update: " + changes.changed);
 
-        // Update room aspects
+        // Update room aspects. Rooms that users bridged the account into belong to them, so are left alone.
         this._bridge.getRoomStore().getEntriesByRemoteRoomData({instagram_username: changes.username}).then(remoteRooms => {
-            for (var entry of remoteRooms) {
-                var roomId = entry.matrix.roomId;
-                if (changes.changed == 'avatar') {
-                    util.uploadContentFromUrl(this._bridge, changes.profile.avatarUrl, intent, 'profile.png')
-                        .then(mxcUrl => this.getBotIntent().setRoomAvatar(roomId, mxcUrl, {}));
-                } else if (changes.changed == 'displayName') {
-                    this.getBotIntent().setRoomName(roomId, "[Instagram] " + changes.profile.displayName);
-                }
+            var roomIds = remoteRooms.filter(entry => !entry.remote.get("bridged_by")).map(entry => entry.matrix.roomId);
+            if (changes.changed == 'avatar') {
+                return avatarPromise.then(mxcUrl => Promise.all(roomIds.map(roomId => this.getBotIntent().setRoomAvatar(roomId, mxcUrl, {}))));
+            } else if (changes.changed == 'displayName') {
+                return Promise.all(roomIds.map(roomId => this.getBotIntent().setRoomName(roomId, "[Instagram] " + changes.profile.displayName)));
             }
+        }).catch(err => log.error("InstagramBridge", err));
+    }
+
+    /**
+     * Called when an Instagram account has changed its username. Moves the account's rooms over to the new
+     * username and hands off from the old virtual user to the new one. The old virtual user stays in the
+     * rooms with a display name pointing at the new account. Rooms that users bridged the account into are
+     * only moved over: their aliases, topic and power levels are not touched.
+     * @param {string} topic the event name
+     * @param {{userId: number, accountId: string, oldUsername: string, newUsername: string, profile: *}} change the username change
+     * @private
+     */
+    _onUsernameChanged(topic, change) {
+        var domain = this._bridge.opts.domain;
+        var oldUserId = "@_instagram_" + change.oldUsername + ":" + domain;
+        var newUserId = "@_instagram_" + change.newUsername + ":" + domain;
+        var oldIntent = this._bridge.getIntent(oldUserId);
+        var newIntent = this.getIgUserIntent(change.newUsername);
+        var botIntent = this.getBotIntent();
+
+        log.info("InstagramBridge", "Handing off from " + oldUserId + " to " + newUserId);
+        newIntent.setDisplayName(change.profile.displayName + " (Instagram)").catch(err => log.error("InstagramBridge", err));
+        MediaCache.uploadFromUrl(this._bridge, change.profile.avatarUrl, newIntent, 'profile.png')
+            .then(mxcUrl => newIntent.setAvatarUrl(mxcUrl))
+            .catch(err => log.error("InstagramBridge", err));
+        oldIntent.setDisplayName(change.profile.displayName + " (now @" + change.newUsername + " on Instagram)").catch(err => log.error("InstagramBridge", err));
+
+        var roomStore = this._bridge.getRoomStore();
+        roomStore.getEntriesByRemoteRoomData({instagram_username: change.oldUsername}).then(entries => {
+            return entries.reduce((prev, entry) => prev.then(() => {
+                var roomId = entry.matrix.roomId;
+                log.verbose("InstagramBridge", "Moving room " + roomId + " from " + change.oldUsername + " to " + change.newUsername);
+
+                var isBridgedByUser = !!entry.remote.get("bridged_by");
+                entry.remote.set("instagram_username", change.newUsername);
+
+                // Everything after the new virtual user joins is cosmetic, so each step is tried even if another fails
+                var tryStep = (description, fn) => fn().catch(err => {
+                    log.warn("InstagramBridge", "Could not " + description + " in room " + roomId);
+                    log.warn("InstagramBridge", err);
+                });
+
+                return roomStore.upsertEntry(entry).then(() => {
+                    var invited = isBridgedByUser ? tryStep("invite " + newUserId, () => botIntent.invite(roomId, newUserId)) : Promise.resolve();
+                    return invited.then(() => newIntent.join(roomId)).catch(err => {
+                        log.error("InstagramBridge", "Failed to join " + newUserId + " to room " + roomId);
+                        log.error("InstagramBridge", err);
+                    });
+                }).then(() => {
+                    if (isBridgedByUser) return; // the room belongs to whoever bridged the account
+
+                    // Someone may have already created a room for the new username, so the alias may fail
+                    return tryStep("add alias for " + change.newUsername, () => botIntent.getClient().createAlias("#_instagram_" + change.newUsername + ":" + domain, roomId))
+                        .then(() => tryStep("give power to " + newUserId, () => botIntent.getClient().getStateEvent(roomId, "m.room.power_levels", "").then(powerLevels => {
+                            if (!powerLevels.users) powerLevels.users = {};
+                            powerLevels.users[newUserId] = powerLevels.users[oldUserId] || 50;
+                            return botIntent.sendStateEvent(roomId, "m.room.power_levels", "", powerLevels);
+                        })))
+                        .then(() => tryStep("update account info", () => botIntent.sendStateEvent(roomId, "io.t2l.instagram.account_info", "", {handle: change.newUsername})))
+                        .then(() => tryStep("update topic", () => botIntent.setRoomTopic(roomId, change.newUsername + "'s Instagram feed")));
+                }).catch(err => {
+                    log.error("InstagramBridge", "Failed to move room " + roomId + " to " + change.newUsername);
+                    log.error("InstagramBridge", err);
+                });
+            }), Promise.resolve());
+        }).catch(err => {
+            log.error("InstagramBridge", "Failed to move rooms from " + change.oldUsername + " to " + change.newUsername);
+            log.error("InstagramBridge", err);
         });
     }
 
@@ -191,134 +486,602 @@ class InstagramBridge {
     _onMedia(topic, media) {
         var userIntent = this.getIgUserIntent(media.username);
 
-        this._getClientRooms(userIntent).then(rooms => {
-            // Only upload the media if we actually have rooms to post to
-            if (rooms.length == 0) return;
+        this._getAccountRooms(media.username).then(rooms => {
+            // Rooms that were backfilled may already have the media
+            return Promise.all(rooms.map(roomId => InstagramStore.isMediaHandled(media.postId, roomId))).then(handled => {
+                rooms = rooms.filter((roomId, i) => !handled[i]);
+
+                // Only upload the media if we actually have rooms to post to
+                if (rooms.length == 0) return;
+                return this._sendMedia(media, rooms, userIntent, /*holdUnpopular=*/true);
+            });
+        }).catch(err => {
+            log.error("InstagramBridge", "Failed to post media " + media.postId + " from " + media.username);
+            log.error("InstagramBridge", err);
+        });
+    }
+
+    /**
+     * Uploads media and posts it to the given matrix rooms, as allowed by each room's settings. Only the
+     * media that at least one room wants is uploaded. New posts usually don't have enough likes yet for rooms
+     * with `min_likes` set, so those rooms can have the post held until its likes are refreshed.
+     * @param {{media:{type:string, content:{url:string, width: number, height:number}}[],username:string,caption:string,sourceUrl:string,postId:string,userId:number,likes:number}} media the media to send
+     * @param {string[]} rooms the matrix room IDs to post to
+     * @param {Intent} userIntent the intent to post as
+     * @param {boolean} [holdUnpopular] if true, rooms the post doesn't have enough likes for get it once it does
+     * @return {Promise<>} resolves when the media has been posted to all rooms
+     * @private
+     */
+    _sendMedia(media, rooms, userIntent, holdUnpopular = false) {
+        var uploads = [];
+        var caption = null;
+        var targets = [];
+        var heldRooms = [];
+
+        return Promise.all(rooms.map(roomId => this._roomSettings.getSettings(roomId, userIntent))).then(allSettings => {
+            for (var i = 0; i < rooms.length; i++) {
+                var indexes = this._getMediaIndexesForRoom(media, allSettings[i]);
+                if (indexes.length == 0) log.verbose("InstagramBridge", "Settings for room " + rooms[i] + " exclude media " + media.postId);
+                else if ((media.likes || 0) < allSettings[i].min_likes) {
+                    log.verbose("InstagramBridge", "Media " + media.postId + " doesn't have enough likes for room " + rooms[i] + " yet");
+                    if (holdUnpopular) heldRooms.push(rooms[i]);
+                } else targets.push({roomId: rooms[i], settings: allSettings[i], indexes: indexes});
+            }
+            if (heldRooms.length > 0) this._holdMedia(media, heldRooms, userIntent);
+            if (targets.length == 0) return;
 
-            var mxcUrls = [];
             var promises = [];
-            for (var container of media.media) {
-                promises.push(this._uploadMedia(container, mxcUrls, media.postId));
+            for (var index of _.uniq(_.flatten(targets.map(t => t.indexes)))) {
+                promises.push(this._uploadMedia(media.media[index], uploads, index, this._getMediaFilename(media, index)));
             }
+            promises.push(this._captionFormatter.format(media.caption, media.sourceUrl).then(formatted => caption = formatted));
 
-            Promise.all(promises).then(() => {
-                for (var roomId of rooms) {
-                    this._postMedia(roomId, mxcUrls, media.postId, userIntent, media.caption, media.userId, media.sourceUrl);
-                }
+            return Promise.all(promises).then(() => {
+                return Promise.all(targets.map(target => {
+                    var roomUploads = target.indexes.map(i => uploads[i]);
+                    var roomCaption = target.settings.captions ? caption : null;
+                    return this._postMedia(target.roomId, roomUploads, media, roomCaption, userIntent, target.settings.msgtype === "notice");
+                }));
             });
         });
     }
 
     /**
-     * Posts media to a given matrix room
-     * @param {string} roomId the matrix room ID
-     * @param {string} content the media content
-     * @param {string} postId the media ID
-     * @param {Intent} intent the intent to post as
-     * @param {string} caption the caption for the media
-     * @param {number} userId the bridge user ID
-     * @param {string} sourceUrl the source of the media
-     * @private
-     */
-    _postMedia(roomId, content, postId, intent, caption, userId, sourceUrl) {
-        var contentPromises = [];
-        var eventIds = [];
-        for (var media of content) {
-            var body = {
-                url: media.mxc,
-                body: "igmedia-" + postId,
-                info: {
-                    w: media.container.content.width,
-                    h: media.container.content.height
-                },
-                external_url: sourceUrl
-            };
+     * Keeps media that doesn't have enough likes for some rooms yet, and asks the media reconciler to keep
+     * refreshing its likes. The media is posted to those rooms by `_onMediaStats` once it has enough.
+     * @param {{postId:string}} media the media to hold
+     * @param {string[]} rooms the matrix room IDs waiting for the media
+     * @param {Intent} userIntent the intent to post as
+     * @private
+     */
+    _holdMedia(media, rooms, userIntent) {
+        var held = this._heldMedia.get(media.postId);
+        var heldRooms = _.uniq((held ? held.rooms : []).concat(rooms));
+        this._heldMedia.set(media.postId, {media: media, rooms: heldRooms, userIntent: userIntent});
+        MediaReconciler.watchMedia(media.postId);
+    }
 
-            if (media.container.type == 'video') {
-                body['msgtype'] = 'm.video';
-                body['info']['mimetype'] = "video/mp4";
-            } else {
-                body['msgtype'] = 'm.image';
-                body['info']['mimetype'] = "image/jpg";
-            }
+    /**
+     * Posts held media to the rooms it now has enough likes for. Rooms that have been unbridged or already
+     * have the media are dropped.
+     * @param {{media: *, rooms: string[], userIntent: Intent}} held the held media
+     * @param {number} likes the current number of likes on the media
+     * @return {Promise<>} resolves when the media has been posted
+     * @private
+     */
+    _releaseHeldMedia(held, likes) {
+        var media = _.assign({}, held.media, {likes: likes});
+        this._heldMedia.delete(media.postId);
 
-            contentPromises.push(intent.sendMessage(roomId, body).then(event => {
-                eventIds.push(event.event_id);
-            }));
+        return Promise.all(held.rooms.map(roomId => Promise.all([
+            InstagramStore.isMediaHandled(media.postId, roomId),
+            this._bridge.getRoomStore().getLinkedRemoteRooms(roomId)
+        ]))).then(results => {
+            var rooms = held.rooms.filter((roomId, i) => !results[i][0] && results[i][1].length > 0);
+            if (rooms.length == 0) return;
+            return this._sendMedia(media, rooms, held.userIntent, /*holdUnpopular=*/true);
+        });
+    }
+
+    /**
+     * Determines which pieces of media in a post should be posted to a room. Likes are checked separately
+     * by `_sendMedia`.
+     * @param {{media:{type:string}[]}} media the media being posted
+     * @param {{media_types: string}} settings the room settings
+     * @return {number[]} the indexes of the media to post, which may be empty
+     * @private
+     */
+    _getMediaIndexesForRoom(media, settings) {
+        var indexes = [];
+        for (var i = 0; i < media.media.length; i++) {
+            var type = media.media[i].type;
+            if (settings.media_types === "images" && type !== "image") continue;
+            if (settings.media_types === "videos" && type !== "video") continue;
+            indexes.push(i);
         }
+        return indexes;
+    }
 
-        Promise.all(contentPromises).then(() => {
-            if (!caption) return Promise.resolve();
+    /**
+     * Called when new media has been encountered in a feed, such as a hashtag or location. Posts the media as the author's
+     * virtual user to every room following the feed that hasn't already seen the media. The author's profile is not
+     * looked up, so feed authors don't become bridge users (and don't have their media polled).
+     * @param {string} topic the event name
+     * @param {{feedType: string, feedId: string, media: {media:{type:string, content:{url:string, width: number, height:number}}[],username:string,caption:string,sourceUrl:string,postId:string,userId:number}}} feedMedia the media that was encountered
+     * @private
+     */
+    _onFeedMedia(topic, feedMedia) {
+        var media = feedMedia.media;
+        var query = {};
+        if (feedMedia.feedType === 'tag') query.instagram_tag = feedMedia.feedId;
+        else if (feedMedia.feedType === 'location') query.instagram_location = feedMedia.feedId;
+        else {
+            log.warn("InstagramBridge", "Unknown feed type: " + feedMedia.feedType);
+            return;
+        }
 
-            return intent.sendMessage(roomId, {
-                msgtype: "m.text",
-                body: caption,
-                external_url: sourceUrl
+        this._bridge.getRoomStore().getEntriesByRemoteRoomData(query).then(entries => {
+            var rooms = _.uniq(entries.map(e => e.matrix.roomId));
+            return Promise.all(rooms.map(roomId => InstagramStore.isMediaHandled(media.postId, roomId))).then(handled => {
+                rooms = rooms.filter((roomId, i) => !handled[i]);
+                if (rooms.length == 0) return;
+                return this._sendMedia(media, rooms, this._getUntrackedIgUserIntent(media.username), /*holdUnpopular=*/true);
             });
-        }).then(event => {
-            if (!event) return Promise.resolve();
-            eventIds.push(event.event_id);
-        }).then(() => {
-            for (var eventId of eventIds) {
-                InstagramStore.storeMedia(userId, postId, eventId, roomId);
+        }).catch(err => {
+            log.error("InstagramBridge", "Failed to post media " + media.postId + " from " + feedMedia.feedType + " feed " + feedMedia.feedId);
+            log.error("InstagramBridge", err);
+        });
+    }
+
+    /**
+     * Called when media has been deleted from Instagram. Redacts all of the events for the media.
+     * @param {string} topic the event name
+     * @param {{mediaId: string}} media the media that was deleted
+     * @private
+     */
+    _onMediaDeleted(topic, media) {
+        this._heldMedia.delete(media.mediaId);
+        this._mediaStats.delete(media.mediaId);
+
+        InstagramStore.getMediaEventsByMediaId(media.mediaId).then(events => {
+            if (events.length == 0) return;
+
+            // Account media is redacted by the author's bridge user. Feed media has no bridge user, so the bridge bot redacts it
+            var userId = _.find(events.map(e => e.userId), id => id);
+            return (userId ? InstagramStore.getUserById(userId) : Promise.resolve(null)).then(user => {
+                return events.reduce((prev, event) => prev.then(() => {
+                    var intent = event.userId && user ? this.getIgUserIntent(user.username) : this.getBotIntent();
+                    log.info("InstagramBridge", "Redacting event " + event.mxEventId + " in room " + event.mxRoomId + " for deleted media " + media.mediaId);
+                    return intent.getClient().redactEvent(event.mxRoomId, event.mxEventId)
+                        .then(() => InstagramStore.flagMediaEventRedacted(event.id))
+                        .catch(err => {
+                            log.error("InstagramBridge", "Failed to redact event " + event.mxEventId + " in room " + event.mxRoomId);
+                            log.error("InstagramBridge", err);
+                        });
+                }), Promise.resolve());
+            });
+        }).catch(err => {
+            log.error("InstagramBridge", "Failed to redact events for deleted media " + media.mediaId);
+            log.error("InstagramBridge", err);
+        });
+    }
+
+    /**
+     * Called when a comment has been found on bridged media. Posts the comment as a reply to the media
+     * in each room the media was posted to that is still bridged, unless it has already been posted there.
+     * Comments are sent by the commenter's virtual user. The commenter's profile is not looked up, so they
+     * don't become a bridge user (or get their media polled) just by commenting.
+     * @param {string} topic the event name
+     * @param {{mediaId: string, commentId: string, username: string, text: string}} comment the comment that was found
+     * @private
+     */
+    _onComment(topic, comment) {
+        var intent = this._getUntrackedIgUserIntent(comment.username);
+
+        InstagramStore.getUserByUsername(comment.username).then(user => {
+            if (user && user.isDelisted) return [];
+            return InstagramStore.getMediaEventsByMediaId(comment.mediaId);
+        }).then(events => {
+            // Reply to the first event posted for the media in each room
+            return this._getPrimaryMediaEvents(events).reduce((prev, mediaEvent) => prev.then(() => {
+                return Promise.all([
+                    InstagramStore.isCommentHandled(comment.commentId, mediaEvent.mxRoomId),
+                    this._roomSettings.getSettings(mediaEvent.mxRoomId),
+                    this._bridge.getRoomStore().getLinkedRemoteRooms(mediaEvent.mxRoomId)
+                ]).then(results => {
+                    var isHandled = results[0];
+                    var settings = results[1];
+                    var isBridged = results[2].length > 0;
+                    if (isHandled || !settings.comments || !isBridged) return;
+
+                    log.info("InstagramBridge", "Posting comment " + comment.commentId + " by " + comment.username + " to room " + mediaEvent.mxRoomId);
+                    return intent.sendMessage(mediaEvent.mxRoomId, {
+                        msgtype: settings.msgtype === "notice" ? "m.notice" : "m.text",
+                        body: comment.text,
+                        "m.relates_to": {
+                            "m.in_reply_to": {
+                                event_id: mediaEvent.mxEventId
+                            }
+                        }
+                    }).then(event => InstagramStore.storeComment(comment.mediaId, comment.commentId, event.event_id, mediaEvent.mxRoomId));
+                }).catch(err => {
+                    log.error("InstagramBridge", "Failed to post comment " + comment.commentId + " to room " + mediaEvent.mxRoomId);
+                    log.error("InstagramBridge", err);
+                });
+            }), Promise.resolve());
+        }).catch(err => {
+            log.error("InstagramBridge", "Failed to post comment " + comment.commentId + " on media " + comment.mediaId);
+            log.error("InstagramBridge", err);
+        });
+    }
+
+    /**
+     * Called when the statistics for bridged media have been refreshed. Posts held media to the rooms it now
+     * has enough likes for, and updates the media info state for the media in each room it was posted to.
+     * @param {string} topic the event name
+     * @param {{mediaId: string, likes: number, comments: number}} stats the statistics for the media
+     * @private
+     */
+    _onMediaStats(topic, stats) {
+        var held = this._heldMedia.get(stats.mediaId);
+        if (held) this._releaseHeldMedia(held, stats.likes).catch(err => {
+            log.error("InstagramBridge", "Failed to post held media " + stats.mediaId);
+            log.error("InstagramBridge", err);
+        });
+
+        var known = this._mediaStats.get(stats.mediaId);
+        if (known && known.likes === stats.likes && known.comments === stats.comments) return;
+        this._mediaStats.set(stats.mediaId, {likes: stats.likes, comments: stats.comments});
+
+        InstagramStore.getMediaEventsByMediaId(stats.mediaId).then(events => {
+            return this._getPrimaryMediaEvents(events).reduce((prev, mediaEvent) => prev.then(() => {
+                log.verbose("InstagramBridge", "Updating media info for " + stats.mediaId + " in room " + mediaEvent.mxRoomId + ": " + stats.likes + " likes");
+                return this.getBotIntent().sendStateEvent(mediaEvent.mxRoomId, "io.t2l.instagram.media_info", mediaEvent.mxEventId, {
+                    media_id: stats.mediaId,
+                    event_id: mediaEvent.mxEventId,
+                    likes: stats.likes,
+                    comments: stats.comments
+                }).catch(err => {
+                    log.error("InstagramBridge", "Failed to update media info for " + stats.mediaId + " in room " + mediaEvent.mxRoomId);
+                    log.error("InstagramBridge", err);
+                });
+            }), Promise.resolve());
+        }).catch(err => {
+            log.error("InstagramBridge", "Failed to update media info for " + stats.mediaId);
+            log.error("InstagramBridge", err);
+        });
+    }
+
+    /**
+     * Called when Instagram stops accepting one of the bridge's OAuth tokens. Tells the owner of the token
+     * in their admin room(s) that they need to authorize the bridge again.
+     * @param {string} topic the event name
+     * @param {AuthToken} authToken the token that was invalidated
+     * @private
+     */
+    _onTokenInvalidated(topic, authToken) {
+        var adminRooms = _.values(this._adminRooms).filter(r => r && r.getOwner() === authToken.mxId);
+        if (adminRooms.length == 0) {
+            log.warn("InstagramBridge", "No admin room to tell " + authToken.mxId + " that their token is invalid");
+            return;
+        }
+
+        for (var adminRoom of adminRooms) {
+            adminRoom.notifyTokenInvalidated(authToken).catch(err => {
+                log.error("InstagramBridge", "Failed to tell " + authToken.mxId + " that their token is invalid");
+                log.error("InstagramBridge", err);
+            });
+        }
+    }
+
+    /**
+     * Gets the first event posted for some media in each room
+     * @param {MediaEvent[]} events the events for the media
+     * @return {MediaEvent[]} the first event in each room
+     * @private
+     */
+    _getPrimaryMediaEvents(events) {
+        var roomEvents = {}; // { roomId: MediaEvent }
+        for (var event of events) {
+            if (!roomEvents[event.mxRoomId] || roomEvents[event.mxRoomId].id > event.id)
+                roomEvents[event.mxRoomId] = event;
+        }
+        return _.values(roomEvents);
+    }
+
+    /**
+     * Posts recent media for an Instagram account to a room, as configured by the backfill options. Media
+     * already posted to the room will not be posted again. If the account's media has never been polled, the
+     * backfill becomes its baseline so polling only picks up media posted afterwards.
+     * @param {string} roomId the matrix room ID to backfill
+     * @param {string} handle the Instagram username to backfill media for
+     * @return {Promise<>} resolves when the backfill is complete
+     * @private
+     */
+    _backfillRoom(roomId, handle) {
+        var backfillConfig = this._config.instagram.backfill || {};
+        if (!backfillConfig.maxPosts) return Promise.resolve();
+
+        var user = null;
+        var userIntent = this.getIgUserIntent(handle);
+
+        log.info("InstagramBridge", "Backfilling up to " + backfillConfig.maxPosts + " posts from " + handle + " into " + roomId);
+        return ProfileService.getProfile(handle, Priority.PUSH).then(() => InstagramStore.getUserByUsername(handle)).then(dbUser => {
+            user = dbUser;
+            if (!user || user.isDelisted) return [];
+            return InstagramApiHandler.userMedia(user.accountId, {count: backfillConfig.maxPosts}, Priority.PUSH);
+        }).then(medias => {
+            medias = (medias || []).slice(0, backfillConfig.maxPosts);
+            if (backfillConfig.maxDays) {
+                var since = moment().subtract(backfillConfig.maxDays, 'days');
+                medias = medias.filter(m => moment.unix(m['created_time']).isAfter(since));
             }
-            InstagramStore.updateMediaExpirationTime(userId, moment().add(this._config.instagram.rateLimitConfig.mediaCheckFrequency, 'hours').valueOf());
+            medias.reverse(); // Instagram returns newest first, but we want to post oldest first
+
+            return medias.reduce((prev, media) => prev.then(() => {
+                return InstagramStore.isMediaHandled(media['id'], roomId).then(isHandled => {
+                    if (isHandled) return;
+                    var parsed = MediaHandler.parseMedia(media, handle, user.id);
+                    if (parsed) return this._sendMedia(parsed, [roomId], userIntent);
+                });
+            }), Promise.resolve());
+        }).then(() => {
+            if (!user || user.mediaExpires) return;
+            var checkFrequency = this._config.instagram.rateLimitConfig.mediaCheckFrequency;
+            return InstagramStore.updateMediaExpirationTime(user.id, moment().add(checkFrequency, 'hours').valueOf());
+        }).catch(err => {
+            log.error("InstagramBridge", "Failed to backfill " + handle + " into " + roomId);
+            log.error("InstagramBridge", err);
+        });
+    }
+
+    /**
+     * Posts media to a given matrix room. The caption is attached to the first piece of media. Posts with
+     * several pieces of media (carousels) are sent in order, with each slide labelled "n/m" and related
+     * to the first slide. Posts to the same room are sent one at a time so they don't interleave.
+     * @param {string} roomId the matrix room ID
+     * @param {{container:*, mxc:string, filename:string, size:number, mimetype:string, thumbnail:{mxc:string, size:number, mimetype:string}}[]} uploads the uploaded media
+     * @param {{media:{type:string, content:{url:string, width: number, height:number}}[],username:string,accountId:string,caption:string,sourceUrl:string,postId:string,userId:number}} media the media being posted
+     * @param {{body: string, formatted_body: string}} caption the formatted caption for the media, may be null
+     * @param {Intent} intent the intent to post as
+     * @param {boolean} [captionAsNotice] if true, the caption is posted as a notice after the media instead of on the first piece of media
+     * @return {Promise<>} resolves when the media has been posted
+     * @private
+     */
+    _postMedia(roomId, uploads, media, caption, intent, captionAsNotice = false) {
+        return this._queueForRoom(roomId, () => {
+            var firstEventId = null;
+            return uploads.reduce((prev, upload, i) => prev.then(() => {
+                var body = this._getMediaContent(upload, media, i === 0 && !captionAsNotice ? caption : null);
+
+                if (uploads.length > 1) {
+                    var label = " (" + (i + 1) + "/" + uploads.length + ")";
+                    body['body'] += label;
+                    if (body['formatted_body']) body['formatted_body'] += label;
+                    body['io.t2l.instagram.carousel'] = {index: i, count: uploads.length};
+                    if (firstEventId) {
+                        body['m.relates_to'] = {
+                            rel_type: "io.t2l.instagram.carousel",
+                            event_id: firstEventId
+                        };
+                    }
+                }
+
+                return intent.sendMessage(roomId, body).then(event => {
+                    if (!firstEventId) firstEventId = event.event_id;
+                    return InstagramStore.storeMedia(media.userId, media.postId, event.event_id, roomId, media.accountId);
+                });
+            }), Promise.resolve()).then(() => {
+                if (!captionAsNotice || !caption) return;
+                return intent.sendMessage(roomId, {
+                    msgtype: "m.notice",
+                    body: caption.body,
+                    format: "org.matrix.custom.html",
+                    formatted_body: caption.formatted_body,
+                    "m.relates_to": {
+                        "m.in_reply_to": {
+                            event_id: firstEventId
+                        }
+                    }
+                });
+            });
         });
     }
 
     /**
-     * Uploads media to a room
-     * @param {{media:{type:string, content:{url:string, width: number, height:number}}[],username:string,caption:string,sourceUrl:string,postId:string,userId:number}} mediaContainer media container
-     * @param {{container:{media:{type:string, content:{url:string, width: number, height:number}}[],username:string,caption:string,sourceUrl:string,postId:string,userId:number},mxc:string}[]} urls uploaded media urls array
-     * @param {string} postId the post ID
+     * Builds the content of the event for a single piece of uploaded media
+     * @param {{container:*, mxc:string, filename:string, size:number, mimetype:string, thumbnail:{mxc:string, size:number, mimetype:string}}} upload the uploaded media
+     * @param {{sourceUrl:string}} media the media being posted
+     * @param {{body: string, formatted_body: string}} caption the formatted caption to attach, may be null
+     * @return {*} the event content
+     * @private
+     */
+    _getMediaContent(upload, media, caption) {
+        var body = {
+            msgtype: upload.container.type == 'video' ? 'm.video' : 'm.image',
+            url: upload.mxc,
+            body: upload.filename,
+            filename: upload.filename,
+            info: {
+                w: upload.container.content.width,
+                h: upload.container.content.height,
+                mimetype: upload.mimetype
+            },
+            external_url: media.sourceUrl
+        };
+
+        if (upload.size) body['info']['size'] = upload.size;
+        if (upload.container.duration) body['info']['duration'] = upload.container.duration;
+        if (upload.thumbnail) {
+            body['info']['thumbnail_url'] = upload.thumbnail.mxc;
+            body['info']['thumbnail_info'] = {
+                w: upload.container.thumbnail.width,
+                h: upload.container.thumbnail.height,
+                mimetype: upload.thumbnail.mimetype
+            };
+            if (upload.thumbnail.size) body['info']['thumbnail_info']['size'] = upload.thumbnail.size;
+        }
+
+        if (caption) {
+            body['body'] = caption.body;
+            body['format'] = "org.matrix.custom.html";
+            body['formatted_body'] = caption.formatted_body;
+        }
+
+        return body;
+    }
+
+    /**
+     * Runs a function once everything previously queued for a room has finished
+     * @param {string} roomId the matrix room ID
+     * @param {function} fn the function to run, returning a Promise
+     * @return {Promise<*>} resolves or rejects with the result of the function
+     * @private
+     */
+    _queueForRoom(roomId, fn) {
+        var previous = this._roomQueues[roomId] || Promise.resolve();
+        var next = previous.then(fn, fn);
+        var tail = this._roomQueues[roomId] = next.catch(() => null);
+        tail.then(() => {
+            if (this._roomQueues[roomId] === tail) delete this._roomQueues[roomId];
+        });
+        return next;
+    }
+
+    /**
+     * Generates a filename for a piece of media in a post
+     * @param {{media:{type:string, content:{url:string, width: number, height:number}}[],username:string,caption:string,sourceUrl:string,postId:string,userId:number}} media the media being posted
+     * @param {number} index the index of the piece of media in the post
+     * @return {string} the filename for the media
+     * @private
+     */
+    _getMediaFilename(media, index) {
+        var name = media.username + "_" + media.postId;
+        if (media.media.length > 1) name += "_" + (index + 1);
+        return name + "." + (media.media[index].type == 'video' ? 'mp4' : 'jpg');
+    }
+
+    /**
+     * Uploads media, and its thumbnail if it has one, to the homeserver
+     * @param {{type:string, content:{url:string, width: number, height:number}, thumbnail:{url:string, width: number, height:number}}} mediaContainer media container
+     * @param {{container:*, mxc:string, filename:string, size:number, mimetype:string, thumbnail:{mxc:string, size:number, mimetype:string}}[]} uploads uploaded media array
+     * @param {number} index the position in the uploaded media array to store the upload at
+     * @param {string} filename the filename for the media
      * @return {Promise<>} resolves when upload has been completed
      * @private
      */
-    _uploadMedia(mediaContainer, urls, postId) {
-        return util.uploadContentFromUrl(this._bridge, mediaContainer.content.url, this.getBotIntent(), "igmedia-" + postId + "." + (mediaContainer.type == 'video' ? 'mp4' : 'jpg'))
-            .then(mxcUrl => urls.push({container: mediaContainer, mxc: mxcUrl}));
+    _uploadMedia(mediaContainer, uploads, index, filename) {
+        var isVideo = mediaContainer.type == 'video';
+        var uploadPromises = [MediaCache.upload(this._bridge, mediaContainer.content.url, this.getBotIntent(), filename)];
+        if (mediaContainer.thumbnail) {
+            var thumbnailName = filename.substring(0, filename.lastIndexOf('.')) + "_thumb.jpg";
+            uploadPromises.push(MediaCache.upload(this._bridge, mediaContainer.thumbnail.url, this.getBotIntent(), thumbnailName).catch(err => {
+                // The thumbnail is nice to have, but shouldn't stop the media from being posted
+                log.warn("InstagramBridge", "Failed to upload thumbnail for " + filename);
+                log.warn("InstagramBridge", err);
+                return null;
+            }));
+        }
+
+        return Promise.all(uploadPromises).then(results => {
+            var content = results[0];
+            var thumbnail = results[1];
+            uploads[index] = {
+                container: mediaContainer,
+                mxc: content.mxcUrl,
+                filename: filename,
+                size: content.size,
+                mimetype: this._getMimetype(content.mimetype, isVideo ? "video/mp4" : "image/jpeg"),
+                thumbnail: thumbnail ? {
+                    mxc: thumbnail.mxcUrl,
+                    size: thumbnail.size,
+                    mimetype: this._getMimetype(thumbnail.mimetype, "image/jpeg")
+                } : null
+            };
+        });
     }
 
     /**
-     * Get all joined rooms for an Intent
-     * @param {Intent} intent the intent to get joined rooms of
-     * @return {Promise<string[]>} resolves to an array of room IDs the intent is participating in
+     * Gets the mimetype to advertise for uploaded content. Servers sometimes report a generic mimetype,
+     * in which case the expected mimetype is used instead.
+     * @param {string} mimetype the mimetype reported when the content was downloaded, may be null
+     * @param {string} fallback the mimetype to use if the reported one is not specific to the expected kind of media
+     * @return {string} the mimetype
      * @private
-     * @deprecated This is a hack
      */
-    // HACK: The js-sdk doesn't support this endpoint. See https://github.com/matrix-org/matrix-js-sdk/issues/440
-    _getClientRooms(intent) {
-        // Borrowed from matrix-appservice-bridge: https://github.com/matrix-org/matrix-appservice-bridge/blob/435942dd32e2214d3aa318503d19b10b40c83e00/lib/components/app-service-bot.js#L34-L47
-        return intent.getClient()._http.authedRequestWithPrefix(undefined, "GET", "/joined_rooms", undefined, undefined, "/_matrix/client/r0")
-            .then(res => {
-                if (!res.joined_rooms) return [];
-                return res.joined_rooms;
-            });
+    _getMimetype(mimetype, fallback) {
+        if (!mimetype) return fallback;
+        mimetype = mimetype.split(";")[0].trim().toLowerCase();
+        if (mimetype.split("/")[0] !== fallback.split("/")[0]) return fallback;
+        return mimetype;
+    }
+
+    /**
+     * Gets the rooms an Instagram account's media is posted to. These are the rooms linked to the account, rather
+     * than every room its virtual user happens to be in.
+     * @param {string} handle the Instagram username
+     * @return {Promise<string[]>} resolves to the matrix room IDs linked to the account
+     * @private
+     */
+    _getAccountRooms(handle) {
+        return this._bridge.getRoomStore().getEntriesByRemoteRoomData({instagram_username: handle})
+            .then(entries => _.uniq(entries.map(e => e.matrix.roomId)));
     }
 
     /**
-     * Updates the bridge information on all rooms the bridge bot participates in
+     * Updates the bridge information on all rooms the bridge bot participates in, and restores the admin rooms
+     * from the store
+     * @return {Promise<>} resolves when all rooms have been processed
      * @private
      */
     _bridgeKnownRooms() {
-        this._bridge.getBot().getJoinedRooms().then(rooms => {
-            for (var roomId of rooms) {
-                this._processRoom(roomId);
+        return Promise.all([
+            this._bridge.getBot().getJoinedRooms(),
+            InstagramStore.listAdminRooms(),
+            InstagramStore.getBotAccountData()
+        ]).then(results => {
+            var rooms = results[0];
+            var adminRooms = results[1];
+            var accountData = results[2];
+
+            for (var adminRoom of adminRooms) {
+                if (rooms.indexOf(adminRoom.roomId) === -1) {
+                    log.verbose("InstagramBridge", "No longer in admin room " + adminRoom.roomId + " for " + adminRoom.ownerMxId + ". Forgetting it");
+                    InstagramStore.deleteAdminRoom(adminRoom.roomId);
+                    continue;
+                }
+                this._addAdminRoom(adminRoom.roomId, adminRoom.ownerMxId);
             }
+
+            // Admin rooms used to be found by counting members on every startup. Look for them that way one last
+            // time so rooms from before they were stored aren't lost.
+            var findLegacyAdminRooms = !accountData.adminRoomsStored;
+
+            return Promise.all(rooms.map(roomId => this._processRoom(roomId, findLegacyAdminRooms).catch(err => {
+                log.error("InstagramBridge", "Error processing room " + roomId);
+                log.error("InstagramBridge", err);
+            }))).then(() => {
+                if (!findLegacyAdminRooms) return;
+                return InstagramStore.updateBotAccountData(data => data.adminRoomsStored = "true");
+            });
         });
     }
 
     /**
-     * Attempts to determine if a room is a bridged room or an admin room, based on the membership and other
-     * room information. This will categorize the room accordingly and prepare it for it's purpose.
+     * Attempts to determine if a room is a bridged room or an admin room. Known admin rooms come from the store,
+     * but a room with no bridged accounts and only the bridge bot and one human can be made a new admin room.
+     * This will categorize the room accordingly and prepare it for it's purpose.
      * @param {string} roomId the matrix room ID to process
+     * @param {boolean} [detectAdminRoom] if true, the room may become a new admin room based on its membership
      * @return {Promise<>} resolves when processing is complete
      * @private
      */
-    _processRoom(roomId) {
+    _processRoom(roomId, detectAdminRoom = false) {
         log.info("InstagramBridge", "Request to bridge room " + roomId);
         return this._bridge.getRoomStore().getLinkedRemoteRooms(roomId).then(remoteRooms => {
             if (remoteRooms.length == 0) {
+                if (this._adminRooms[roomId] || !detectAdminRoom) return;
+
                 // No remote rooms may mean that this is an admin room
                 return this._bridge.getBot().getJoinedMembers(roomId).then(members => {
                     var roomMemberIds = _.keys(members);
@@ -326,14 +1089,38 @@ class InstagramBridge {
 
                     if (roomMemberIds.length == 2) {
                         var otherUserId = roomMemberIds[botIdx == 0 ? 1 : 0];
-                        this._adminRooms[roomId] = new AdminRoom(roomId, this);
-                        log.verbose("InstagramBridge", "Added admin room for user " + otherUserId);
+                        if (this.isBridgeUser(otherUserId)) return;
+
+                        return InstagramStore.createAdminRoom(roomId, otherUserId).then(() => this._addAdminRoom(roomId, otherUserId));
                     }
                 });
             }
 
-            log.verbose("InstagramBridge", "Room " + roomId + " is bridged to " + remoteRooms.length + " accounts");
-            // no other processing required.
+            log.verbose("InstagramBridge", "Room " + roomId + " is bridged to " + remoteRooms.length + " remote rooms");
+            for (var remoteRoom of remoteRooms) {
+                var tag = remoteRoom.get("instagram_tag");
+                var locationId = remoteRoom.get("instagram_location");
+                if (tag) FeedPoller.addFeed('tag', tag);
+                if (locationId) FeedPoller.addFeed('location', locationId);
+            }
+        });
+    }
+
+    /**
+     * Starts handling a room as an admin room
+     * @param {string} roomId the matrix room ID
+     * @param {string} owner the matrix user ID the admin room is for
+     * @return {Promise<>} resolves when the admin room is ready
+     * @private
+     */
+    _addAdminRoom(roomId, owner) {
+        var adminRoom = new AdminRoom(roomId, this, owner);
+        this._adminRooms[roomId] = adminRoom;
+        log.verbose("InstagramBridge", "Added admin room " + roomId + " for user " + owner);
+
+        return adminRoom.restore().catch(err => {
+            log.error("InstagramBridge", "Error restoring admin room " + roomId);
+            log.error("InstagramBridge", err);
         });
     }
 
@@ -350,12 +1137,204 @@ class InstagramBridge {
     }
 
     /**
-     * Destroys an admin room. This will not cause the bridge bot to leave. It will simply de-categorize it.
-     * The room may be unintentionally restored when the bridge restarts, depending on the room conditions.
+     * Destroys an admin room. This will not cause the bridge bot to leave. It will simply de-categorize it,
+     * including in the store so it is not restored when the bridge restarts.
      * @param {string} roomId the room ID to destroy
+     * @return {Promise<>} resolves when the room has been removed from the store
      */
     removeAdminRoom(roomId) {
         this._adminRooms[roomId] = null;
+        return InstagramStore.deleteAdminRoom(roomId);
+    }
+
+    /**
+     * Attempts to post a matrix reply to bridged media as a comment on Instagram. The sender must have
+     * authorized the bridge to use their account, otherwise the reply is ignored. See `_pickSenderToken`
+     * for which account is used.
+     * @param {MatrixEvent} event the matrix message event
+     * @return {Promise<>} resolves when processing is complete
+     * @private
+     */
+    _tryProcessReply(event) {
+        var relatesTo = event.content["m.relates_to"];
+        if (!relatesTo || !relatesTo["m.in_reply_to"] || !relatesTo["m.in_reply_to"].event_id) return Promise.resolve();
+
+        var parentEventId = relatesTo["m.in_reply_to"].event_id;
+        var text = this._stripReplyFallback(event.content.body);
+        var mediaId = null;
+        var auth = null;
+
+        return Promise.all([
+            InstagramStore.getMediaEventByEventId(parentEventId),
+            InstagramStore.getCommentByEventId(parentEventId)
+        ]).then(results => {
+            // Replies to comments are treated as comments on the original media
+            if (results[0]) mediaId = results[0].mediaId;
+            else if (results[1]) mediaId = results[1].mediaId;
+            else return; // not a reply to something we bridged
+
+            return this._pickSenderToken(event.sender, event.room_id, "comment", event.event_id).then(token => {
+                if (!token) return;
+
+                auth = token;
+                log.info("InstagramBridge", "Posting comment on media " + mediaId + " for " + event.sender);
+                return InstagramApiHandler.postMediaComment(mediaId, text, auth.token).then(comment => {
+                    if (comment && comment.id) return comment.id;
+                    return this._findCommentId(mediaId, auth, text);
+                }).then(commentId => {
+                    if (!commentId) {
+                        log.warn("InstagramBridge", "Could not find comment ID for " + event.event_id + " - comment will not be deduplicated");
+                        return;
+                    }
+                    return InstagramStore.storeComment(mediaId, commentId, event.event_id, event.room_id, event.sender);
+                });
+            });
+        }).catch(err => {
+            log.error("InstagramBridge", "Failed to post reply " + event.event_id + " as a comment");
+            log.error("InstagramBridge", err);
+        });
+    }
+
+    /**
+     * Attempts to like bridged media on Instagram for a matrix reaction. The sender must have authorized
+     * the bridge to use their account, otherwise the reaction is ignored. See `_pickSenderToken` for which
+     * account is used.
+     * @param {MatrixEvent} event the matrix reaction event
+     * @return {Promise<>} resolves when processing is complete
+     * @private
+     */
+    _tryProcessReaction(event) {
+        var relatesTo = event.content["m.relates_to"];
+        if (!relatesTo || relatesTo.rel_type !== "m.annotation" || LIKE_REACTIONS.indexOf(relatesTo.key) === -1) return Promise.resolve();
+
+        return InstagramStore.getMediaEventByEventId(relatesTo.event_id).then(mediaEvent => {
+            if (!mediaEvent) return; // not a reaction to something we bridged
+
+            return this._pickSenderToken(event.sender, event.room_id, "like", event.event_id).then(token => {
+                if (!token) return;
+
+                log.info("InstagramBridge", "Liking media " + mediaEvent.mediaId + " for " + event.sender);
+                return InstagramApiHandler.postMediaLike(mediaEvent.mediaId, token.token)
+                    .then(() => InstagramStore.storeLike(mediaEvent.mediaId, event.event_id, event.room_id, event.sender));
+            });
+        }).catch(err => {
+            log.error("InstagramBridge", "Failed to like media for reaction " + event.event_id);
+            log.error("InstagramBridge", err);
+        });
+    }
+
+    /**
+     * Attempts to remove the Instagram comment or like for a redacted matrix reply or reaction. The account
+     * is picked the same way as when the comment or like was made.
+     * @param {MatrixEvent} event the matrix redaction event
+     * @return {Promise<>} resolves when processing is complete
+     * @private
+     */
+    _tryProcessRedaction(event) {
+        return Promise.all([
+            InstagramStore.getCommentByEventId(event.redacts),
+            InstagramStore.getLikeByEventId(event.redacts)
+        ]).then(results => {
+            var comment = results[0];
+            var like = results[1];
+
+            if (comment && comment.mxSenderId) { // only comments from matrix can be removed
+                return this._pickSenderToken(comment.mxSenderId, comment.mxRoomId, "remove the comment").then(token => {
+                    if (!token) return;
+
+                    log.info("InstagramBridge", "Removing comment " + comment.commentId + " on media " + comment.mediaId);
+                    return InstagramApiHandler.removeMediaComment(comment.mediaId, comment.commentId, token.token)
+                        .then(() => InstagramStore.deleteComment(comment.id));
+                });
+            }
+
+            if (like) {
+                return this._pickSenderToken(like.mxSenderId, like.mxRoomId, "remove the like").then(token => {
+                    if (!token) return;
+
+                    log.info("InstagramBridge", "Removing like on media " + like.mediaId + " for " + like.mxSenderId);
+                    return InstagramApiHandler.removeMediaLike(like.mediaId, token.token)
+                        .then(() => InstagramStore.deleteLike(like.id));
+                });
+            }
+        }).catch(err => {
+            log.error("InstagramBridge", "Failed to process redaction " + event.event_id);
+            log.error("InstagramBridge", err);
+        });
+    }
+
+    /**
+     * Picks which of a matrix user's authorized Instagram accounts to act as in a room. A user with one account
+     * acts as that account. A user with several acts as the one the room is bridged to; if that doesn't narrow it
+     * down to one account, the user is told in the room and nothing is done.
+     * @param {string} mxId the matrix user ID
+     * @param {string} roomId the matrix room ID the user is acting in
+     * @param {string} action what the account is needed for, such as "comment"
+     * @param {string} [eventId] the matrix event ID to reply to if an account can't be picked
+     * @return {Promise<AuthToken>} resolves to the token to use, or null if there is no single account to use
+     * @private
+     */
+    _pickSenderToken(mxId, roomId, action, eventId = null) {
+        return Promise.all([
+            InstagramStore.getAuthTokens(mxId),
+            this._bridge.getRoomStore().getLinkedRemoteRooms(roomId)
+        ]).then(results => {
+            var tokens = _.uniqBy(results[0], t => t.userId); // one per account
+            var handles = results[1].map(r => r.get("instagram_username")).filter(h => h);
+
+            if (tokens.length == 0) {
+                log.verbose("InstagramBridge", mxId + " wants to " + action + " in " + roomId + " but has not authorized an account");
+                return null;
+            }
+            if (tokens.length == 1) return tokens[0];
+
+            return Promise.all(tokens.map(t => InstagramStore.getUserById(t.userId))).then(users => {
+                var matching = tokens.filter((t, i) => users[i] && handles.indexOf(users[i].username) !== -1);
+                if (matching.length == 1) return matching[0];
+
+                log.warn("InstagramBridge", mxId + " wants to " + action + " in " + roomId + " but has " + tokens.length + " accounts and none is clearly meant");
+                var notice = {
+                    msgtype: "m.notice",
+                    body: "You have authorized more than one Instagram account, and this room isn't bridged to exactly one of them, " +
+                    "so I don't know which account to " + action + " as. Use !deauth in your admin room to remove the accounts you don't want to use."
+                };
+                if (eventId) notice["m.relates_to"] = {"m.in_reply_to": {event_id: eventId}};
+                return this.getBotIntent().sendMessage(roomId, notice).then(() => null);
+            });
+        });
+    }
+
+    /**
+     * Finds the ID of a comment posted by an account. Used when Instagram doesn't tell us the ID of a new comment.
+     * @param {string} mediaId the media ID the comment was posted on
+     * @param {AuthToken} auth the token the comment was posted with
+     * @param {string} text the text of the comment
+     * @return {Promise<string>} resolves to the comment ID, or null if not found
+     * @private
+     */
+    _findCommentId(mediaId, auth, text) {
+        var username = null;
+        return InstagramStore.getUserById(auth.userId).then(user => {
+            username = user.username;
+            return InstagramApiHandler.mediaComments(mediaId, Priority.INTERACTIVE);
+        }).then(comments => {
+            var matches = (comments || []).filter(c => c['from']['username'] === username && c['text'] === text);
+            if (matches.length == 0) return null;
+            matches.sort((a, b) => parseInt(b['created_time']) - parseInt(a['created_time'])); // newest first
+            return matches[0]['id'];
+        });
+    }
+
+    /**
+     * Removes the quoted fallback from a reply body
+     * @param {string} body the body of the reply
+     * @return {string} the body without the fallback
+     * @private
+     */
+    _stripReplyFallback(body) {
+        var lines = (body || "").split("\n");
+        while (lines.length > 0 && lines[0].indexOf("> ") === 0) lines.shift();
+        return lines.join("\n").trim();
     }
 
     /**
@@ -367,10 +1346,36 @@ class InstagramBridge {
 
         this._tryProcessAdminEvent(event);
 
+        if (event.type === "io.t2l.instagram.room_settings") {
+            return this._roomSettings.handleEvent(event);
+        }
+
+        if (event.type === "m.room.message" && !this.isBridgeUser(event.sender)) {
+            return this._tryProcessReply(event);
+        }
+
+        if (event.type === "m.reaction" && !this.isBridgeUser(event.sender)) {
+            return this._tryProcessReaction(event);
+        }
+
+        if (event.type === "m.room.redaction" && !this.isBridgeUser(event.sender)) {
+            return this._tryProcessRedaction(event);
+        }
+
         if (event.type === "m.room.member" && event.content.membership === "invite") {
             if (this.isBridgeUser(event.state_key)) {
                 log.info("InstagramBridge", event.state_key + " received invite to room " + event.room_id);
-                return this._bridge.getIntent(event.state_key).join(event.room_id).then(() => this._processRoom(event.room_id));
+                var handle = this.getHandleFromUserId(event.state_key);
+                return this._bridge.getIntent(event.state_key).join(event.room_id)
+                    .then(() => {
+                        // Remember who invited the account so the room is known to be bridged. Rooms the bridge
+                        // creates itself are linked when they are created.
+                        if (handle && !this.isBridgeUser(event.sender)) return this._recordLink(event.room_id, handle, event.sender);
+                    })
+                    .then(() => this._processRoom(event.room_id, /*detectAdminRoom=*/!handle)) // the bot may be invited to a DM
+                    .then(() => {
+                        if (handle) this._backfillRoom(event.room_id, handle);
+                    });
             }
         }
 
@@ -395,6 +1400,14 @@ class InstagramBridge {
 
         if (aliasLocalpart.indexOf("_instagram_") !== 0) throw new Error("Invalid alias (" + aliasLocalpart + "): Missing prefix");
 
+        if (aliasLocalpart.indexOf("_instagram_tag_") === 0) {
+            return this._createTagRoom(aliasLocalpart, aliasLocalpart.substring("_instagram_tag_".length));
+        }
+
+        if (aliasLocalpart.indexOf("_instagram_loc_") === 0) {
+            return this._createLocationRoom(aliasLocalpart, aliasLocalpart.substring("_instagram_loc_".length));
+        }
+
         // The server name could contain underscores, but the port won't. We'll try to create a room based on
         // the last argument being a port, or a string if not a number.
 
@@ -410,7 +1423,7 @@ class InstagramBridge {
             return ProfileService.getProfile(handle);
         }).then(profile => {
             realProfile = profile;
-            return util.uploadContentFromUrl(this._bridge, profile.avatarUrl, this.getBotIntent(), 'icon.png');
+            return MediaCache.uploadFromUrl(this._bridge, profile.avatarUrl, this.getBotIntent(), 'icon.png');
         }).then(avatarMxc => {
             var virtualUserId = "@_instagram_" + handle + ":" + this._bridge.opts.domain;
 
@@ -468,6 +1481,130 @@ class InstagramBridge {
         });
     }
 
+    /**
+     * Creates a room that follows a hashtag
+     * @param {string} aliasLocalpart the localpart of the alias requested
+     * @param {string} tag the hashtag to follow, without the leading #
+     * @return {Promise<{remote: RemoteRoom, creationOpts: *}>} resolves to the room to create
+     * @private
+     */
+    _createTagRoom(aliasLocalpart, tag) {
+        tag = tag.toLowerCase();
+        if (!/^\w+$/.test(tag)) {
+            log.error("InstagramBridge", "Invalid hashtag requested: " + tag);
+            return Promise.reject(); // send upstream
+        }
+
+        var remoteRoom = new RemoteRoom(aliasLocalpart);
+        remoteRoom.set("instagram_tag", tag);
+
+        return InstagramApiHandler.getTag(tag, Priority.INTERACTIVE).then(() => {
+            return this._createFeedRoom(aliasLocalpart, remoteRoom, "#" + tag, "Instagram posts tagged #" + tag, "io.t2l.instagram.tag_info", {tag: tag});
+        }).catch(err => {
+            log.error("InstagramBridge", "Failed to create room for alias #" + aliasLocalpart);
+            log.error("InstagramBridge", err);
+            return Promise.reject(); // send upstream
+        });
+    }
+
+    /**
+     * Creates a room that follows an Instagram location
+     * @param {string} aliasLocalpart the localpart of the alias requested
+     * @param {string} locationId the Instagram location ID to follow
+     * @return {Promise<{remote: RemoteRoom, creationOpts: *}>} resolves to the room to create
+     * @private
+     */
+    _createLocationRoom(aliasLocalpart, locationId) {
+        if (!/^\d+$/.test(locationId)) {
+            log.error("InstagramBridge", "Invalid location ID requested: " + locationId);
+            return Promise.reject(); // send upstream
+        }
+
+        var remoteRoom = new RemoteRoom(aliasLocalpart);
+        remoteRoom.set("instagram_location", locationId);
+
+        return InstagramApiHandler.getLocation(locationId, Priority.INTERACTIVE).then(location => {
+            var topic = "Instagram posts at " + location['name'];
+            if (location['latitude'] && location['longitude'])
+                topic += " (" + location['latitude'] + ", " + location['longitude'] + ")";
+
+            return this._createFeedRoom(aliasLocalpart, remoteRoom, location['name'], topic, "io.t2l.instagram.location_info", {
+                location_id: locationId,
+                name: location['name'],
+                latitude: location['latitude'],
+                longitude: location['longitude']
+            });
+        }).catch(err => {
+            log.error("InstagramBridge", "Failed to create room for alias #" + aliasLocalpart);
+            log.error("InstagramBridge", err);
+            return Promise.reject(); // send upstream
+        });
+    }
+
+    /**
+     * Builds the room creation options for a room that follows a feed, such as a hashtag or location
+     * @param {string} aliasLocalpart the localpart of the alias requested
+     * @param {RemoteRoom} remoteRoom the remote room for the feed
+     * @param {string} name the name of the feed
+     * @param {string} topic the topic for the room
+     * @param {string} infoEventType the state event type to describe the feed with
+     * @param {*} infoContent the content of the state event describing the feed
+     * @return {Promise<{remote: RemoteRoom, creationOpts: *}>} resolves to the room to create
+     * @private
+     */
+    _createFeedRoom(aliasLocalpart, remoteRoom, name, topic, infoEventType, infoContent) {
+        return MediaCache.uploadFromUrl(this._bridge, this._config.instagram.appearance.avatarUrl, this.getBotIntent(), 'icon.png').then(avatarMxc => {
+            var userMap = {};
+            userMap[this._bridge.getBot().getUserId()] = 100;
+
+            var eventMap = {
+                "m.room.name": 100,
+                "m.room.avatar": 100,
+                "m.room.topic": 100,
+                "m.room.power_levels": 100
+            };
+            eventMap[infoEventType] = 100;
+
+            return {
+                remote: remoteRoom,
+                creationOpts: {
+                    room_alias_name: aliasLocalpart,
+                    name: "[Instagram] " + name,
+                    visibility: "public",
+                    topic: topic,
+                    initial_state: [{
+                        type: "m.room.join_rules",
+                        content: {join_rule: "public"},
+                        state_key: ""
+                    }, {
+                        type: "m.room.avatar",
+                        content: {url: avatarMxc},
+                        state_key: ""
+                    }, {
+                        type: "m.room.power_levels",
+                        content: {
+                            events_default: 0,
+                            invite: 0, // anyone can invite
+                            kick: 50,
+                            ban: 50,
+                            redact: 50,
+                            state_default: 50,
+                            events: eventMap,
+                            users_default: 0,
+                            users: userMap
+                        },
+                        state_key: ""
+                    }, {
+                        // Add feed information for interested clients
+                        type: infoEventType,
+                        content: infoContent,
+                        state_key: ""
+                    }]
+                }
+            };
+        });
+    }
+
     /**
      * Bridge handler to update/create user information
      * @private
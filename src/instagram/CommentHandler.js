@@ -0,0 +1,87 @@
+var log = require("./../util/LogService");
+var PubSub = require("pubsub-js");
+var moment = require('moment');
+var InstagramStore = require("./../storage/InstagramStore");
+var InstagramApiHandler = require("./InstagramApiHandler");
+
+/**
+ * Periodically checks recently bridged media for comments, publishing them for the bridge to post.
+ */
+class CommentHandler {
+
+    /**
+     * Creates a new comment handler. Call `prepare` before use.
+     */
+    constructor() {
+        this._checking = false;
+    }
+
+    /**
+     * Prepares the comment handler for use. This sets up the timer and starts checking for comments.
+     * @param {number} commentCheckFrequency how often, in minutes, to check recently bridged media for comments
+     * @param {number} commentCheckWindow how long, in hours, media is checked for comments after being bridged
+     * @return {Promise<>} resolves when complete
+     */
+    prepare(commentCheckFrequency, commentCheckWindow) {
+        this._window = commentCheckWindow;
+
+        setInterval(this._checkComments.bind(this), commentCheckFrequency * 60 * 1000);
+        this._checkComments();
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Checks all recently bridged media for comments
+     * @private
+     */
+    _checkComments() {
+        if (this._checking) {
+            log.warn("CommentHandler", "Skipping regular check for comments: Currently checking comments");
+            return;
+        }
+
+        this._checking = true;
+
+        var since = moment().subtract(this._window, 'hours').valueOf();
+        InstagramStore.listRecentMediaIds(since).then(mediaIds => {
+            log.info("CommentHandler", "Checking " + mediaIds.length + " recently bridged media for comments");
+
+            // Do a promise loop over the media to make sure we don't
+            // overrun ourselves with a lot of web requests
+            return mediaIds.reduce((prev, mediaId) => prev.then(() => this._checkMediaComments(mediaId)), Promise.resolve());
+        }).catch(err => {
+            log.error("CommentHandler", "Error checking for comments");
+            log.error("CommentHandler", err);
+        }).then(() => {
+            this._checking = false;
+        });
+    }
+
+    /**
+     * Checks a single media ID for comments, publishing a `newComment` event for each comment found
+     * @param {string} mediaId the media ID to check
+     * @return {Promise<>} resolves when the check is complete
+     * @private
+     */
+    _checkMediaComments(mediaId) {
+        return InstagramApiHandler.mediaComments(mediaId).then(comments => {
+            comments = (comments || []).slice();
+            comments.sort((a, b) => parseInt(a['created_time']) - parseInt(b['created_time'])); // oldest first
+
+            for (var comment of comments) {
+                PubSub.publish('newComment', {
+                    mediaId: mediaId,
+                    commentId: comment['id'],
+                    username: comment['from']['username'],
+                    text: comment['text']
+                });
+            }
+        }, err => {
+            log.warn("CommentHandler", "Could not get comments for media " + mediaId);
+            log.warn("CommentHandler", err);
+        });
+    }
+}
+
+module.exports = new CommentHandler();
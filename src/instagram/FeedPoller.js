@@ -0,0 +1,122 @@
+var log = require("./../util/LogService");
+var PubSub = require("pubsub-js");
+var moment = require('moment');
+var InstagramStore = require("./../storage/InstagramStore");
+var InstagramApiHandler = require("./InstagramApiHandler");
+var MediaHandler = require("./MediaHandler");
+
+/**
+ * Polls Instagram for new media in feeds that are not tied to a single account, such as hashtags and locations. Each
+ * check of a feed uses one request, and only a limited number of feeds are checked per interval so that
+ * feed rooms cannot use up the rate limit needed for account media.
+ */
+class FeedPoller {
+
+    /**
+     * Creates a new feed poller. Call `prepare` before use.
+     */
+    constructor() {
+        this._feeds = {}; // { "type:id": { type, id, lastCheck } }
+        this._polling = false;
+    }
+
+    /**
+     * Prepares the feed poller for use. This sets up the timer and starts polling feeds.
+     * @param {number} feedCheckFrequency how often, in minutes, to check feeds for new media
+     * @param {number} feedUpdatesPerTick how many feeds maximum are checked per interval
+     * @param {number} feedPostsPerCheck how many posts maximum are posted per feed check
+     * @return {Promise<>} resolves when complete
+     */
+    prepare(feedCheckFrequency, feedUpdatesPerTick, feedPostsPerCheck) {
+        this._maxUpdates = feedUpdatesPerTick;
+        this._maxPosts = feedPostsPerCheck;
+
+        setInterval(this._checkFeeds.bind(this), feedCheckFrequency * 60 * 1000);
+        this._checkFeeds();
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Adds a feed to be polled. Adding a feed that is already being polled does nothing.
+     * @param {string} type the type of feed. Either 'tag' or 'location'.
+     * @param {string} id the feed identifier, such as the hashtag name or location ID
+     */
+    addFeed(type, id) {
+        var key = type + ":" + id;
+        if (this._feeds[key]) return;
+
+        log.info("FeedPoller", "Adding " + type + " feed for " + id);
+        this._feeds[key] = {type: type, id: id, lastCheck: 0};
+    }
+
+    /**
+     * Polls for new media. Only checks the least recently checked feeds up to the user-supplied maximum.
+     * @private
+     */
+    _checkFeeds() {
+        if (this._polling) {
+            log.warn("FeedPoller", "Skipping regular check for feeds: Currently polling feeds");
+            return;
+        }
+
+        this._polling = true;
+
+        var feeds = Object.keys(this._feeds).map(k => this._feeds[k]);
+        feeds.sort((a, b) => a.lastCheck - b.lastCheck);
+        feeds = feeds.splice(0, this._maxUpdates); // don't process too much
+
+        log.info("FeedPoller", "Starting feed check for " + feeds.length + " feeds");
+
+        // Do a promise loop over the feeds to make sure we don't
+        // overrun ourselves with a lot of web requests
+        feeds.reduce((prev, feed) => prev.then(() => this._checkFeed(feed)), Promise.resolve()).then(() => {
+            this._polling = false;
+        });
+    }
+
+    /**
+     * Checks a single feed for new media, publishing a `newFeedMedia` event for each post found
+     * @param {{type: string, id: string, lastCheck: number}} feed the feed to check
+     * @return {Promise<>} resolves when the check is complete
+     * @private
+     */
+    _checkFeed(feed) {
+        log.verbose("FeedPoller", "Checking " + feed.type + " feed for " + feed.id);
+        feed.lastCheck = moment().valueOf();
+
+        return this._fetchMedia(feed).then(medias => {
+            medias = (medias || []).slice(0, this._maxPosts);
+            medias.reverse(); // Instagram returns newest first, but we want to post oldest first
+
+            return medias.reduce((prev, media) => prev.then(() => {
+                // Feed authors don't get a bridge user (and aren't polled) unless something else already bridges
+                // them. Known authors are only looked up to honour delisting.
+                var author = media['user'];
+                return InstagramStore.findUserByAccountId(author['id']).then(user => {
+                    if (user && user.isDelisted) return;
+
+                    var parsed = MediaHandler.parseMedia(media, author['username'], null);
+                    if (parsed) PubSub.publish('newFeedMedia', {feedType: feed.type, feedId: feed.id, media: parsed});
+                });
+            }), Promise.resolve());
+        }).catch(err => {
+            log.error("FeedPoller", "Error checking " + feed.type + " feed for " + feed.id);
+            log.error("FeedPoller", err);
+        });
+    }
+
+    /**
+     * Gets the recent media for a feed
+     * @param {{type: string, id: string}} feed the feed to get media for
+     * @return {Promise<*[]>} resolves to the media in the feed, newest first
+     * @private
+     */
+    _fetchMedia(feed) {
+        if (feed.type === 'tag') return InstagramApiHandler.getMediasByTag(feed.id, {count: this._maxPosts});
+        if (feed.type === 'location') return InstagramApiHandler.getMediasByLocation(feed.id, {});
+        return Promise.reject(new Error("Unknown feed type: " + feed.type));
+    }
+}
+
+module.exports = new FeedPoller();
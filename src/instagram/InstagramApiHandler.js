@@ -1,12 +1,23 @@
 var InstagramAPI = require("instagram-api");
 var InstagramStore = require("./../storage/InstagramStore");
+var PubSub = require("pubsub-js");
+var RequestScheduler = require("./RequestScheduler");
+var Priority = RequestScheduler.Priority;
 var log = require("./../util/LogService");
+var moment = require("moment");
+var _ = require("lodash");
 
 const MAX_RETRY_COUNT = 5; // arbitrary
+const NO_RETRY_ERROR_TYPES = ["APINotFoundError"]; // retrying these will never succeed
+const RATE_LIMIT_ERROR_TYPES = ["OAuthRateLimitException"];
+const INVALID_TOKEN_ERROR_TYPES = ["OAuthAccessTokenException"]; // the user has revoked access or the token has expired
+const DEFAULT_RATE_LIMIT = 5000; // requests per hour for a live Instagram application
+const RATE_LIMIT_WINDOW_MINUTES = 60;
 
 /**
- * Handles proxying of API calls to help reduce the chance of rate limiting. This is achieved by using
- * a random OAuth token to perform the request, retrying if required up to a maximum.
+ * Handles proxying of API calls to help reduce the chance of rate limiting. This is achieved by tracking
+ * the remaining rate limit of each OAuth token and using the token with the most headroom to perform the
+ * request, retrying if required up to a maximum. Tokens that Instagram no longer accepts are retired.
  */
 class InstagramApiHandler {
 
@@ -14,211 +25,387 @@ class InstagramApiHandler {
      * Creates a new Instagram API Handler.
      */
     constructor() {
+        this._tokenStats = {}; // { token: { remaining, limit, resetAt, backoffUntil } }
     }
 
     /**
-     * Gets an API instance for Instagram
-     * @returns {Promise<InstagramAPI>} resolves to an Instagram API
+     * Picks the OAuth token with the most remaining requests. Tokens that have hit the rate limit are
+     * not used until their rate limit window is over.
+     * @returns {Promise<AuthToken>} resolves to the token to use
      * @private
      */
-    _getApiInstance() {
-        return InstagramStore.getRandomAuthToken().then(token => new InstagramAPI(token));
+    _pickToken() {
+        return InstagramStore.listAuthTokens().then(tokens => {
+            var candidates = tokens.filter(t => !this._isBackedOff(t.token));
+            if (candidates.length == 0) {
+                log.warn("InstagramApiHandler", "All tokens have hit their rate limit. Using a random token");
+                candidates = tokens;
+            }
+            if (candidates.length == 0) throw new Error("No OAuth tokens available");
+
+            var best = _.maxBy(_.shuffle(candidates), t => this._getTokenStats(t.token).remaining);
+            log.silly("InstagramApiHandler", "Using token #" + best.id + " (" + this._getTokenStats(best.token).remaining + " remaining)");
+            return best;
+        });
+    }
+
+    /**
+     * Finds the stored token for a token supplied by a caller, so that it can be identified in logs and
+     * invalidated like any other token
+     * @param {string} token the OAuth token
+     * @returns {Promise<AuthToken>} resolves to the stored token, or an unsaved placeholder if it isn't stored
+     * @private
+     */
+    _findToken(token) {
+        return InstagramStore.getAuthTokenByToken(token).then(authToken => authToken || {id: "(unsaved)", token: token, isUnsaved: true});
     }
 
     /**
-     * Wraps the API call, handling the rate limit up to MAX_RETRY_COUNT times
+     * Gets the known rate limit information for a token. Tokens we haven't used are assumed to have their
+     * full rate limit available.
+     * @param {string} token the OAuth token
+     * @returns {{remaining: number, limit: number, resetAt: number, backoffUntil: number}} the rate limit information
+     * @private
+     */
+    _getTokenStats(token) {
+        var stats = this._tokenStats[token];
+        if (!stats || stats.resetAt < moment().valueOf()) {
+            var limit = stats ? stats.limit : DEFAULT_RATE_LIMIT;
+            stats = this._tokenStats[token] = {remaining: limit, limit: limit, resetAt: Number.MAX_VALUE, backoffUntil: 0};
+        }
+        return stats;
+    }
+
+    /**
+     * Determines if a token is currently backed off due to hitting the rate limit
+     * @param {string} token the OAuth token
+     * @returns {boolean} true if the token should not be used
+     * @private
+     */
+    _isBackedOff(token) {
+        return this._getTokenStats(token).backoffUntil > moment().valueOf();
+    }
+
+    /**
+     * Records the rate limit information returned by Instagram for a token. Instagram doesn't tell us
+     * when the window resets, so we assume it resets an hour after the first request we see in the window.
+     * Responses without rate limit headers (reported as a limit of 0) leave the known information alone.
+     * @param {string} token the OAuth token
+     * @param {number} remaining the remaining number of requests
+     * @param {number} limit the maximum number of requests
+     * @private
+     */
+    _updateTokenStats(token, remaining, limit) {
+        var stats = this._getTokenStats(token);
+        if (stats.resetAt === Number.MAX_VALUE) stats.resetAt = moment().add(RATE_LIMIT_WINDOW_MINUTES, 'minutes').valueOf();
+        if (!limit) return;
+        stats.limit = limit;
+        stats.remaining = remaining;
+    }
+
+    /**
+     * Waits until at least one token is no longer backed off, so that requests aren't retried with tokens
+     * that have already hit the rate limit
+     * @returns {Promise<>} resolves when a token is available, or right away if there are no tokens
+     * @private
+     */
+    _waitForToken() {
+        return InstagramStore.listAuthTokens().then(tokens => {
+            if (tokens.length == 0 || tokens.some(t => !this._isBackedOff(t.token))) return;
+
+            var availableAt = _.min(tokens.map(t => this._getTokenStats(t.token).backoffUntil));
+            var delay = Math.max(1000, availableAt - moment().valueOf());
+            log.warn("InstagramApiHandler", "All tokens have hit their rate limit. Waiting " + Math.ceil(delay / 1000) + " seconds before making the request");
+            return new Promise(resolve => setTimeout(resolve, delay));
+        });
+    }
+
+    /**
+     * Stops a token from being used until its rate limit window is over
+     * @param {string} token the OAuth token
+     * @private
+     */
+    _backoffToken(token) {
+        var stats = this._getTokenStats(token);
+        if (stats.resetAt === Number.MAX_VALUE) stats.resetAt = moment().add(RATE_LIMIT_WINDOW_MINUTES, 'minutes').valueOf();
+        stats.remaining = 0;
+        stats.backoffUntil = stats.resetAt;
+    }
+
+    /**
+     * Retires a token that Instagram no longer accepts. The token is flagged as invalid in the store so it
+     * is not picked again, and a `tokenInvalidated` event is published for each owner of the token.
+     * @param {string} token the OAuth token
+     * @returns {Promise<>} resolves when the token has been retired
+     * @private
+     */
+    _invalidateToken(token) {
+        delete this._tokenStats[token];
+        return InstagramStore.flagAuthTokenInvalid(token).then(authTokens => {
+            for (var authToken of authTokens) {
+                log.warn("InstagramApiHandler", "Token #" + authToken.id + " for " + authToken.mxId + " is no longer valid");
+                PubSub.publish('tokenInvalidated', authToken);
+            }
+        });
+    }
+
+    /**
+     * Gets the total remaining rate limit across all tokens that are not backed off. Services doing
+     * background work should use this to scale how much work they do.
+     * @returns {Promise<{remaining: number, limit: number, tokens: number}>} resolves to the aggregate rate limit
+     */
+    getBudget() {
+        return InstagramStore.listAuthTokens().then(tokens => {
+            var budget = {remaining: 0, limit: 0, tokens: 0};
+            for (var token of _.uniqBy(tokens, t => t.token)) {
+                var stats = this._getTokenStats(token.token);
+                budget.limit += stats.limit;
+                if (this._isBackedOff(token.token)) continue;
+                budget.remaining += stats.remaining;
+                budget.tokens++;
+            }
+            return budget;
+        });
+    }
+
+    /**
+     * Gets the last known rate limit information for a single OAuth token
+     * @param {string} token the OAuth token
+     * @returns {{remaining: number, limit: number, backedOff: boolean}} the token's rate limit information
+     */
+    getTokenHealth(token) {
+        var stats = this._getTokenStats(token);
+        return {remaining: stats.remaining, limit: stats.limit, backedOff: this._isBackedOff(token)};
+    }
+
+    /**
+     * Wraps the API call, handling the rate limit up to MAX_RETRY_COUNT times. Each attempt is queued
+     * with the RequestScheduler, once a token is available if every token has hit the rate limit.
      * @param {function} apiFn function to call on the InstagramAPI
+     * @param {number} priority the RequestScheduler priority of the call
+     * @param {string} [token] the OAuth token to use. If not supplied, the token with the most headroom is used.
      * @private
      */
-    _handleRateLimit(apiFn) {
+    _handleRateLimit(apiFn, priority, token = null) {
         var tryCount = 0;
         var doCall = () => {
             tryCount++;
-            return this._getApiInstance().then(api => apiFn(api));
-        };
-        return new Promise((resolve, reject) => {
-            doCall().then(result => {
-                log.verbose("InstagramApiHandler", "Rate limit results: " + result.remaining + " remaining of " + result.limit + " (for unknown token)");
-                resolve(result.data);
+            var auth = null;
+            return (token ? Promise.resolve() : this._waitForToken()).then(() => RequestScheduler.schedule(priority, () => {
+                return (token ? this._findToken(token) : this._pickToken()).then(t => {
+                    auth = t;
+                    return apiFn(new InstagramAPI(auth.token));
+                });
+            })).then(result => {
+                this._updateTokenStats(auth.token, result.remaining, result.limit);
+                if (result.limit) log.verbose("InstagramApiHandler", "Rate limit results: " + result.remaining + " remaining of " + result.limit + " (for token #" + auth.id + ")");
+                else log.verbose("InstagramApiHandler", "No rate limit results returned (for token #" + auth.id + ")");
+                return result.data;
             }, err => {
                 log.error("InstagramApiHandler", "Error making request (" + tryCount + "/" + MAX_RETRY_COUNT + " attempts)");
                 log.error("InstagramApiHandler", err);
+                if (auth && err && INVALID_TOKEN_ERROR_TYPES.indexOf(err.error_type) !== -1) {
+                    if (auth.isUnsaved) throw err; // nothing to flag, and the caller wants this token specifically
+                    return this._invalidateToken(auth.token).then(() => {
+                        if (token) throw err; // the caller wants this token specifically - no point in retrying
+                        if (tryCount > MAX_RETRY_COUNT) {
+                            log.error("InstagramApiHandler", "Failed to perform request. Rejecting request");
+                            throw err;
+                        }
+                        return doCall(); // try again with a different token
+                    }, storeErr => {
+                        log.error("InstagramApiHandler", "Failed to flag token #" + auth.id + " as invalid");
+                        log.error("InstagramApiHandler", storeErr);
+                        throw err;
+                    });
+                }
+                if (auth && err && (err.code === 429 || RATE_LIMIT_ERROR_TYPES.indexOf(err.error_type) !== -1)) {
+                    log.warn("InstagramApiHandler", "Token #" + auth.id + " has hit the rate limit. Backing off");
+                    this._backoffToken(auth.token);
+                    if (token) throw err; // the caller wants this token specifically - no point in retrying
+                }
+                if (err && NO_RETRY_ERROR_TYPES.indexOf(err.error_type) !== -1) {
+                    log.error("InstagramApiHandler", "Error is not recoverable. Rejecting request");
+                    throw err;
+                }
                 if (tryCount <= MAX_RETRY_COUNT) {
                     return doCall();
                 } else {
                     log.error("InstagramApiHandler", "Failed to perform request. Rejecting request");
-                    reject(err);
+                    throw err;
                 }
             });
-        });
+        };
+        return doCall();
     }
 
-    // Everything below here is just a proxy call to the InstagramAPI class
+    // Everything below here is just a proxy call to the InstagramAPI class. Calls are made with background
+    // priority unless the caller says otherwise.
 
     /**
      * @deprecated This API is not specific, therefore it is unsafe to use user-centric calls
      */
-    userSelf() {
+    userSelf(priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling userSelf()");
-        return this._handleRateLimit(api => api.userSelf());
+        return this._handleRateLimit(api => api.userSelf(), priority);
     }
 
-    user(userId) {
+    user(userId, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling user(" + userId + ")");
-        return this._handleRateLimit(api => api.user(userId));
+        return this._handleRateLimit(api => api.user(userId), priority);
     }
 
     /**
      * @deprecated This API is not specific, therefore it is unsafe to use user-centric calls
      */
-    userSelfMedia() {
+    userSelfMedia(priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling userSelfMedia()");
-        return this._handleRateLimit(api => api.userSelfMedia(userId));
+        return this._handleRateLimit(api => api.userSelfMedia(userId), priority);
     }
 
-    userMedia(userId, options) {
+    userMedia(userId, options, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling userMedia(" + userId + ", " + options + ")");
-        return this._handleRateLimit(api => api.userMedia(userId, options));
+        return this._handleRateLimit(api => api.userMedia(userId, options), priority);
     }
 
     /**
      * @deprecated This API is not specific, therefore it is unsafe to use user-centric calls
      */
-    userSelfMediaLiked(options) {
+    userSelfMediaLiked(options, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling userSelfMediaLiked(" + options + ")");
-        return this._handleRateLimit(api => api.userSelfMediaLiked(options));
+        return this._handleRateLimit(api => api.userSelfMediaLiked(options), priority);
     }
 
-    userSearch(term, options) {
+    userSearch(term, options, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling userSearch(" + term + "," + options + ")");
-        return this._handleRateLimit(api => api.userSearch(term, options));
+        return this._handleRateLimit(api => api.userSearch(term, options), priority);
     }
 
     /**
      * @deprecated This API is not specific, therefore it is unsafe to use user-centric calls
      */
-    userSelfFollows(options) {
+    userSelfFollows(options, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling userSelfFollows(" + options + ")");
-        return this._handleRateLimit(api => api.userSelfFollows(options));
+        return this._handleRateLimit(api => api.userSelfFollows(options), priority);
     }
 
     /**
      * @deprecated This API is not specific, therefore it is unsafe to use user-centric calls
      */
-    userSelfFollowedBy(options) {
+    userSelfFollowedBy(options, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling userSelfFollowedBy(" + options + ")");
-        return this._handleRateLimit(api => api.userSelfFollowedBy(options));
+        return this._handleRateLimit(api => api.userSelfFollowedBy(options), priority);
     }
 
     /**
      * @deprecated This API is not specific, therefore it is unsafe to use user-centric calls
      */
-    userSelfRequestedBy(options) {
+    userSelfRequestedBy(options, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling userSelfRequestedBy(" + options + ")");
-        return this._handleRateLimit(api => api.userSelfRequestedBy(options));
+        return this._handleRateLimit(api => api.userSelfRequestedBy(options), priority);
     }
 
     /**
      * @deprecated This API is not specific, therefore it is unsafe to use user-centric calls
      */
-    userRelationship(userId) {
+    userRelationship(userId, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling userRelationship(" + userId + ")");
-        return this._handleRateLimit(api => api.userRelationship(userId));
+        return this._handleRateLimit(api => api.userRelationship(userId), priority);
     }
 
     /**
      * @deprecated This API is not specific, therefore it is unsafe to use user-centric calls
      */
-    setUserRelationship(userId, action) {
+    setUserRelationship(userId, action, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling setUserRelationship(" + userId + "," + action + ")");
-        return this._handleRateLimit(api => api.setUserRelationship(userId, action));
+        return this._handleRateLimit(api => api.setUserRelationship(userId, action), priority);
     }
 
-    media(mediaId) {
+    media(mediaId, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling media(" + mediaId + ")");
-        return this._handleRateLimit(api => api.media(mediaId));
+        return this._handleRateLimit(api => api.media(mediaId), priority);
     }
 
-    mediaByShortcode(shortcode) {
+    mediaByShortcode(shortcode, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling mediaByShortcode(" + shortcode + ")");
-        return this._handleRateLimit(api => api.mediaByShortcode(shortcode));
+        return this._handleRateLimit(api => api.mediaByShortcode(shortcode), priority);
     }
 
-    mediaSearch(options) {
+    mediaSearch(options, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling mediaSearch(" + options + ")");
-        return this._handleRateLimit(api => api.mediaSearch(options));
+        return this._handleRateLimit(api => api.mediaSearch(options), priority);
     }
 
-    mediaComments(mediaId) {
+    mediaComments(mediaId, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling mediaComments(" + mediaId + ")");
-        return this._handleRateLimit(api => api.mediaComments(mediaId));
+        return this._handleRateLimit(api => api.mediaComments(mediaId), priority);
     }
 
     /**
-     * @deprecated This API is not specific, therefore it is unsafe to use user-centric calls
+     * User-centric call: the token of the user posting the comment must be supplied
      */
-    postMediaComment(mediaId, text) {
+    postMediaComment(mediaId, text, token) {
         log.silly("InstagramApiHandler", "Calling postMediaComment(" + mediaId + "," + text + ")");
-        return this._handleRateLimit(api => api.postMediaComment(mediaId, text));
+        return this._handleRateLimit(api => api.postMediaComment(mediaId, text), Priority.INTERACTIVE, token);
     }
 
     /**
-     * @deprecated This API is not specific, therefore it is unsafe to use user-centric calls
+     * User-centric call: the token of the user that posted the comment must be supplied
      */
-    removeMediaComment(mediaId, commentId) {
+    removeMediaComment(mediaId, commentId, token) {
         log.silly("InstagramApiHandler", "Calling removeMediaComment(" + mediaId + "," + commentId + ")");
-        return this._handleRateLimit(api => api.removeMediaComment(mediaId, commentId));
+        return this._handleRateLimit(api => api.removeMediaComment(mediaId, commentId), Priority.INTERACTIVE, token);
     }
 
-    mediaLikes(mediaId) {
+    mediaLikes(mediaId, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling mediaLikes(" + mediaId + ")");
-        return this._handleRateLimit(api => api.mediaLikes(mediaId));
+        return this._handleRateLimit(api => api.mediaLikes(mediaId), priority);
     }
 
     /**
-     * @deprecated This API is not specific, therefore it is unsafe to use user-centric calls
+     * User-centric call: the token of the user liking the media must be supplied
      */
-    postMediaLike(mediaId) {
+    postMediaLike(mediaId, token) {
         log.silly("InstagramApiHandler", "Calling postMediaLike(" + mediaId + ")");
-        return this._handleRateLimit(api => api.postMediaLike(mediaId));
+        return this._handleRateLimit(api => api.postMediaLike(mediaId), Priority.INTERACTIVE, token);
     }
 
     /**
-     * @deprecated This API is not specific, therefore it is unsafe to use user-centric calls
+     * User-centric call: the token of the user that liked the media must be supplied
      */
-    removeMediaLike(mediaId) {
+    removeMediaLike(mediaId, token) {
         log.silly("InstagramApiHandler", "Calling removeMediaLike(" + mediaId + ")");
-        return this._handleRateLimit(api => api.removeMediaLike(mediaId));
+        return this._handleRateLimit(api => api.removeMediaLike(mediaId), Priority.INTERACTIVE, token);
     }
 
-    getTag(tagName) {
+    getTag(tagName, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling getTag(" + tagName + ")");
-        return this._handleRateLimit(api => api.getTag(tagName));
+        return this._handleRateLimit(api => api.getTag(tagName), priority);
     }
 
-    getMediasByTag(tagName, options) {
+    getMediasByTag(tagName, options, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling getMediasByTag(" + tagName + "," + options + ")");
-        return this._handleRateLimit(api => api.getMediasByTag(tagName, options));
+        return this._handleRateLimit(api => api.getMediasByTag(tagName, options), priority);
     }
 
-    searchTags(tagName) {
+    searchTags(tagName, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling searchTags(" + tagName + ")");
-        return this._handleRateLimit(api => api.searchTags(tagName));
+        return this._handleRateLimit(api => api.searchTags(tagName), priority);
     }
 
-    getLocation(locationId) {
+    getLocation(locationId, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling getLocation(" + locationId + ")");
-        return this._handleRateLimit(api => api.getLocation(locationId));
+        return this._handleRateLimit(api => api.getLocation(locationId), priority);
     }
 
-    getMediasByLocation(locationId, options) {
+    getMediasByLocation(locationId, options, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling getMediasByLocation(" + locationId + "," + options + ")");
-        return this._handleRateLimit(api => api.getMediasByLocation(locationId, options));
+        return this._handleRateLimit(api => api.getMediasByLocation(locationId, options), priority);
     }
 
-    searchLocations(options) {
+    searchLocations(options, priority = Priority.BACKGROUND) {
         log.silly("InstagramApiHandler", "Calling searchLocations(" + options + ")");
-        return this._handleRateLimit(api => api.searchLocations(options));
+        return this._handleRateLimit(api => api.searchLocations(options), priority);
     }
 }
 
@@ -2,6 +2,7 @@ var log = require("./../util/LogService");
 var PubSub = require("pubsub-js");
 var InstagramStore = require("./../storage/InstagramStore");
 var InstagramApiHandler = require("./InstagramApiHandler");
+var Priority = require("./RequestScheduler").Priority;
 var WebService = require("./../WebService");
 var uuid = require('uuid');
 var request = require('request');
@@ -90,7 +91,7 @@ class MediaHandler {
             userId = user.id;
             username = user.username;
             if (user.isDelisted) return Promise.resolve(null);
-            return InstagramApiHandler.media(mediaId);
+            return InstagramApiHandler.media(mediaId, Priority.PUSH);
         }).then(media => {
             if (!media) {
                 log.error("MediaHandler", "Could not find media " + mediaId + " or user is delisted");
@@ -107,16 +108,24 @@ class MediaHandler {
      * @param {string} baseUrl the public base URL for the appservice
      */
     prepare(clientId, clientSecret, baseUrl) {
-        InstagramStore.getBotAccountData().then(accountData => {
-            if (!accountData.mediaHandlerToken) {
-                accountData.mediaHandlerToken = uuid.v4();
-                return InstagramStore.setBotAccountData(accountData).then(() => accountData.mediaHandlerToken);
-            }
-            return accountData.mediaHandlerToken;
-        }).then(token => {
-            this._pushToken = token;
-            this._checkSubscription(clientId, clientSecret, baseUrl);
-        });
+        this._clientId = clientId;
+        this._clientSecret = clientSecret;
+        this._baseUrl = baseUrl;
+
+        InstagramStore.updateBotAccountData(accountData => {
+            if (!accountData.mediaHandlerToken) accountData.mediaHandlerToken = uuid.v4();
+        }).then(accountData => {
+            this._pushToken = accountData.mediaHandlerToken;
+            return this._checkSubscription(clientId, clientSecret, baseUrl);
+        }).catch(() => null); // already logged
+    }
+
+    /**
+     * Checks the Instagram subscription for receiving authenticated media again, creating it if it is missing
+     * @return {Promise<boolean>} resolves to true if the subscription was created, false if it already existed
+     */
+    resubscribe() {
+        return this._checkSubscription(this._clientId, this._clientSecret, this._baseUrl);
     }
 
     /**
@@ -134,42 +143,61 @@ class MediaHandler {
                 return;
             }
 
-            var contentArray = [];
-            var pushContent = (type, content) => contentArray.push({type: type, content: content});
-
-            if (media['type'] == 'image') {
-                pushContent('image', media['images']['standard_resolution']);
-            } else if (media['type'] == 'video') {
-                pushContent('video', media['videos']['standard_resolution']);
-            } else if (media['type'] == 'carousel') {
-                for (var slide of media['carousel_media']) {
-                    if (slide['type'] == 'image') {
-                        pushContent('image', slide['images']['standard_resolution']);
-                    } else if (slide['type'] == 'video') {
-                        pushContent('video', slide['videos']['standard_resolution']);
-                    } else log.warn("MediaHandler", "Unknown media type " + slide['type'] + " in carousel");
-                }
-            } else log.warn("MediaHandler", "Unknown media type " + media['type'] + " for post");
-
-            if (contentArray.length > 0) {
-                log.info("MediaHandler", "Post " + media['id'] + " has " + contentArray.length + " attachments");
-                PubSub.publish('newMedia', {
-                    media: contentArray, // [{ type, content: { url, width, height }}]
-                    username: username,
-                    caption: media['caption'] ? media['caption']['text'] : null,
-                    sourceUrl: media['link'],
-                    postId: media['id'],
-                    userId: userId
-                });
-            }
+            var parsed = this.parseMedia(media, username, userId);
+            if (parsed) PubSub.publish('newMedia', parsed);
         });
     }
 
     /**
-     * Checks to ensure the Instagram subscription for receiving authenticated media exists
+     * Converts an Instagram media object into the format used by the bridge for posting media. Each attachment
+     * carries a thumbnail (a low resolution image, or the cover image for videos) and, for videos, the duration
+     * in milliseconds when Instagram provides it.
+     * @param {*} media the media object
+     * @param {string} username the instagram username
+     * @param {number} userId the bridge user ID, or null if the media is not posted by the author's bridge user
+     * @return {{media:{type:string, content:{url:string, width: number, height:number}, thumbnail:{url:string, width: number, height:number}, duration:number}[],username:string,accountId:string,caption:string,sourceUrl:string,postId:string,userId:number,likes:number}} the parsed media, or null if there is nothing to post
+     */
+    parseMedia(media, username, userId) {
+        var contentArray = [];
+        var pushContent = (item) => {
+            if (item['type'] == 'image') {
+                var thumbnail = item['images']['low_resolution'];
+                if (thumbnail && thumbnail['url'] === item['images']['standard_resolution']['url']) thumbnail = null;
+                contentArray.push({type: 'image', content: item['images']['standard_resolution'], thumbnail: thumbnail || null, duration: null});
+            } else if (item['type'] == 'video') {
+                var duration = item['video_duration'] ? Math.round(item['video_duration'] * 1000) : null; // seconds
+                contentArray.push({type: 'video', content: item['videos']['standard_resolution'], thumbnail: item['images'] ? item['images']['standard_resolution'] : null, duration: duration});
+            } else return false;
+            return true;
+        };
+
+        if (media['type'] == 'carousel') {
+            for (var slide of media['carousel_media']) {
+                if (!pushContent(slide)) log.warn("MediaHandler", "Unknown media type " + slide['type'] + " in carousel");
+            }
+        } else if (!pushContent(media)) log.warn("MediaHandler", "Unknown media type " + media['type'] + " for post");
+
+        if (contentArray.length == 0) return null;
+
+        log.info("MediaHandler", "Post " + media['id'] + " has " + contentArray.length + " attachments");
+        return {
+            media: contentArray, // [{ type, content: { url, width, height }, thumbnail: { url, width, height }, duration }]
+            username: username,
+            accountId: media['user'] ? media['user']['id'] : null,
+            caption: media['caption'] ? media['caption']['text'] : null,
+            sourceUrl: media['link'],
+            postId: media['id'],
+            userId: userId,
+            likes: media['likes'] ? media['likes']['count'] : 0
+        };
+    }
+
+    /**
+     * Checks to ensure the Instagram subscription for receiving authenticated media exists, creating it if needed
      * @param {string} clientId the Instagram client ID
      * @param {string} clientSecret the Instagram client secret
      * @param {string} baseUrl the base URL to post media to
+     * @return {Promise<boolean>} resolves to true if the subscription was created, false if it already existed
      * @private
      */
     _checkSubscription(clientId, clientSecret, baseUrl) {
@@ -184,64 +212,72 @@ class MediaHandler {
                 client_secret: clientSecret
             }
         };
-        request(requestOpts, (err, response, body) => {
-            if (err) {
-                log.error("MediaHandler", "Error checking for subscriptions. Not processing authenticated media.");
-                log.error("MediaHandler", err);
-                return;
-            }
-
-            var obj = JSON.parse(body);
-            if (obj["meta"]["error_message"]) {
-                log.error("MediaHandler", "Error checking for subscriptions. Not processing authenticated media.");
-                log.error("MediaHandler", obj["error_message"]);
-                return;
-            }
+        return new Promise((resolve, reject) => {
+            request(requestOpts, (err, response, body) => {
+                if (err) {
+                    log.error("MediaHandler", "Error checking for subscriptions. Not processing authenticated media.");
+                    log.error("MediaHandler", err);
+                    reject(err);
+                    return;
+                }
 
-            var hasSubscription = false;
-            for (var subscription of obj["data"]) {
-                if (subscription.callback_url == cbUrl && subscription.type == "subscription"
-                    && subscription.object == 'user' && subscription.aspect == 'media') {
-                    hasSubscription = true;
-                    break;
+                var obj = JSON.parse(body);
+                if (obj["meta"]["error_message"]) {
+                    log.error("MediaHandler", "Error checking for subscriptions. Not processing authenticated media.");
+                    log.error("MediaHandler", obj["error_message"]);
+                    reject(new Error(obj["meta"]["error_message"]));
+                    return;
                 }
-            }
 
-            if (hasSubscription) {
-                log.info("MediaHandler", "Subscription to media exists: Not creating.");
-            } else {
-                log.info("MediaHandler", "Creating subscription to user media");
-                var token = uuid.v4();
-                this._expectedTokens.push(token);
-                requestOpts = {
-                    url: 'https://api.instagram.com/v1/subscriptions',
-                    method: 'POST',
-                    form: {
-                        client_id: clientId,
-                        client_secret: clientSecret,
-                        object: 'user',
-                        aspect: 'media',
-                        verify_token: token,
-                        callback_url: cbUrl
-                    }
-                };
-                request(requestOpts, (err, response, body) => {
-                    if (err) {
-                        log.error("MediaHandler", "Error checking for subscriptions. Not processing authenticated media.");
-                        log.error("MediaHandler", err);
-                        return;
+                var hasSubscription = false;
+                for (var subscription of obj["data"]) {
+                    if (subscription.callback_url == cbUrl && subscription.type == "subscription"
+                        && subscription.object == 'user' && subscription.aspect == 'media') {
+                        hasSubscription = true;
+                        break;
                     }
+                }
 
-                    var obj = JSON.parse(body);
-                    if (obj["meta"]["error_message"]) {
-                        log.error("MediaHandler", "Error checking for subscriptions. Not processing authenticated media.");
-                        log.error("MediaHandler", obj["meta"]["error_message"]);
-                        return;
-                    }
+                if (hasSubscription) {
+                    log.info("MediaHandler", "Subscription to media exists: Not creating.");
+                    resolve(false);
+                } else {
+                    log.info("MediaHandler", "Creating subscription to user media");
+                    var token = uuid.v4();
+                    this._expectedTokens.push(token);
+                    requestOpts = {
+                        url: 'https://api.instagram.com/v1/subscriptions',
+                        method: 'POST',
+                        form: {
+                            client_id: clientId,
+                            client_secret: clientSecret,
+                            object: 'user',
+                            aspect: 'media',
+                            verify_token: token,
+                            callback_url: cbUrl
+                        }
+                    };
+                    request(requestOpts, (err, response, body) => {
+                        if (err) {
+                            log.error("MediaHandler", "Error checking for subscriptions. Not processing authenticated media.");
+                            log.error("MediaHandler", err);
+                            reject(err);
+                            return;
+                        }
 
-                    log.info("MediaHandler", "Media subscription created");
-                });
-            }
+                        var obj = JSON.parse(body);
+                        if (obj["meta"]["error_message"]) {
+                            log.error("MediaHandler", "Error checking for subscriptions. Not processing authenticated media.");
+                            log.error("MediaHandler", obj["meta"]["error_message"]);
+                            reject(new Error(obj["meta"]["error_message"]));
+                            return;
+                        }
+
+                        log.info("MediaHandler", "Media subscription created");
+                        resolve(true);
+                    });
+                }
+            });
         });
     }
 
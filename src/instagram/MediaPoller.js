@@ -0,0 +1,133 @@
+var log = require("./../util/LogService");
+var moment = require('moment');
+var InstagramStore = require("./../storage/InstagramStore");
+var InstagramApiHandler = require("./InstagramApiHandler");
+var MediaHandler = require("./MediaHandler");
+
+const BUDGET_SHARE = 0.5; // fraction of the remaining rate limit media checks may use per check
+const FAILED_RETRY_MINUTES = 15; // first wait before retrying an account that failed to poll, doubling with each failure
+
+/**
+ * Polls Instagram for new media from accounts that have not linked themselves with the bridge. Linked
+ * accounts receive their media through the subscription API in the MediaHandler instead.
+ */
+class MediaPoller {
+
+    /**
+     * Creates a new media poller. Call `prepare` before use.
+     */
+    constructor() {
+        this._polling = false;
+        this._failures = {}; // { userId: {count: number, retryAt: number} } for accounts that failed to poll
+    }
+
+    /**
+     * Prepares the media poller for use. This sets up the timer and starts polling for media.
+     * @param {number} mediaPollFrequency how often, in minutes, to check for accounts with expired media
+     * @param {number} mediaCheckFrequency how long, in hours, an account's media is considered fresh
+     * @param {number} mediaUpdatesPerTick how many accounts maximum are polled per check
+     * @return {Promise<>} resolves when complete
+     */
+    prepare(mediaPollFrequency, mediaCheckFrequency, mediaUpdatesPerTick) {
+        this._checkFrequency = mediaCheckFrequency;
+        this._maxUpdates = mediaUpdatesPerTick;
+
+        setInterval(this._checkMedia.bind(this), mediaPollFrequency * 60 * 1000);
+        this._checkMedia();
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Polls for new media. Only checks the accounts with expired media up to the user-supplied maximum.
+     * @private
+     */
+    _checkMedia() {
+        if (this._polling) {
+            log.warn("MediaPoller", "Skipping regular check for media: Currently polling media");
+            return;
+        }
+
+        this._polling = true;
+
+        log.info("MediaPoller", "Starting media check. Finding first " + this._maxUpdates + " accounts with expired media");
+        Promise.all([InstagramStore.listUsersWithExpiredMedia(), InstagramStore.listTokenUserIds(), InstagramApiHandler.getBudget()]).then(results => {
+            var users = results[0];
+            var linkedUserIds = results[1];
+            var budget = results[2];
+
+            // Linked accounts are handled by the subscription in the MediaHandler
+            users = users.filter(u => !u.isDelisted && linkedUserIds.indexOf(u.id) === -1);
+            users = users.filter(u => !this._failures[u.id] || this._failures[u.id].retryAt <= moment().valueOf());
+            users.sort((a, b) => a.mediaExpires - b.mediaExpires);
+            log.verbose("MediaPoller", users.length + " accounts have expired media.");
+
+            // Leave the rest of the rate limit for profiles and interactive requests
+            var maxUpdates = Math.min(this._maxUpdates, Math.floor(budget.remaining * BUDGET_SHARE));
+            if (maxUpdates < this._maxUpdates)
+                log.warn("MediaPoller", "Only checking " + maxUpdates + " accounts due to rate limit (" + budget.remaining + " requests remaining)");
+
+            users = users.splice(0, maxUpdates); // don't process too much
+
+            // Do a promise loop over the users to make sure we don't
+            // overrun ourselves with a lot of web requests
+            return users.reduce((prev, user) => prev.then(() => this._pollUser(user)), Promise.resolve());
+        }).catch(err => {
+            log.error("MediaPoller", "Error checking for media");
+            log.error("MediaPoller", err);
+        }).then(() => {
+            this._polling = false;
+        });
+    }
+
+    /**
+     * Polls a single account for new media, posting anything that was created since the last check. Accounts
+     * that have never been checked only record a baseline so that their existing media isn't posted. If the
+     * poll fails, the account stays expired (so no media is skipped) and is retried after a backoff.
+     * @param {User} user the bridge user to poll
+     * @return {Promise<>} resolves when the account has been polled
+     * @private
+     */
+    _pollUser(user) {
+        var nextExpiration = moment().add(this._checkFrequency, 'hours').valueOf();
+        if (!user.mediaExpires) {
+            log.verbose("MediaPoller", "First media check for " + user.username + ". Only new media will be posted from now on");
+            return InstagramStore.updateMediaExpirationTime(user.id, nextExpiration);
+        }
+
+        // The expiration time is always set to `mediaCheckFrequency` hours after the last check
+        var lastCheck = moment(user.mediaExpires).subtract(this._checkFrequency, 'hours');
+
+        log.verbose("MediaPoller", "Polling media for " + user.username + " since " + lastCheck.format());
+        return InstagramApiHandler.userMedia(user.accountId, {}).then(medias => {
+            medias = (medias || []).filter(m => moment.unix(m['created_time']).isAfter(lastCheck));
+            medias.reverse(); // Instagram returns newest first, but we want to post oldest first
+
+            log.verbose("MediaPoller", "Found " + medias.length + " new media for " + user.username);
+            return medias.reduce((prev, media) => prev.then(() => MediaHandler._tryPostMedia(media, user.username, user.id)), Promise.resolve());
+        }).then(() => {
+            delete this._failures[user.id];
+            return InstagramStore.updateMediaExpirationTime(user.id, nextExpiration);
+        }, err => {
+            log.error("MediaPoller", "Error polling media for " + user.username);
+            log.error("MediaPoller", err);
+            this._postponeUser(user);
+        });
+    }
+
+    /**
+     * Holds off on polling an account that failed to poll. The wait doubles with each failure in a row, up to
+     * the media check frequency. The account's expiration time is left alone so that the next successful poll
+     * still covers everything since the last one.
+     * @param {User} user the bridge user that failed to poll
+     * @private
+     */
+    _postponeUser(user) {
+        var count = (this._failures[user.id] ? this._failures[user.id].count : 0) + 1;
+        var minutes = Math.min(this._checkFrequency * 60, FAILED_RETRY_MINUTES * Math.pow(2, count - 1));
+        this._failures[user.id] = {count: count, retryAt: moment().add(minutes, 'minutes').valueOf()};
+        log.warn("MediaPoller", "Could not poll media for " + user.username + " (" + count + " failures in a row). Trying again in " + minutes + " minutes");
+    }
+}
+
+module.exports = new MediaPoller();
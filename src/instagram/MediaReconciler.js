@@ -0,0 +1,106 @@
+var log = require("./../util/LogService");
+var PubSub = require("pubsub-js");
+var moment = require('moment');
+var _ = require("lodash");
+var InstagramStore = require("./../storage/InstagramStore");
+var InstagramApiHandler = require("./InstagramApiHandler");
+
+/**
+ * Periodically re-checks recently bridged media to find posts that have been deleted from Instagram. Media
+ * that still exists has its statistics (likes, comments) published for the bridge to display. Media that
+ * hasn't been bridged yet can be watched the same way, such as posts waiting for enough likes.
+ */
+class MediaReconciler {
+
+    /**
+     * Creates a new media reconciler. Call `prepare` before use.
+     */
+    constructor() {
+        this._checking = false;
+        this._watched = {}; // { mediaId: timestamp } - media that isn't bridged but should be checked
+    }
+
+    /**
+     * Prepares the media reconciler for use. This sets up the timer and starts checking media.
+     * @param {number} mediaReconcileFrequency how often, in minutes, to check recently bridged media
+     * @param {number} mediaReconcileWindow how long, in hours, media is considered recently bridged
+     * @return {Promise<>} resolves when complete
+     */
+    prepare(mediaReconcileFrequency, mediaReconcileWindow) {
+        this._window = mediaReconcileWindow;
+
+        setInterval(this._checkMedia.bind(this), mediaReconcileFrequency * 60 * 1000);
+        this._checkMedia();
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Starts checking media that hasn't been bridged. The media is checked for as long as bridged media is
+     * (the `mediaReconcileWindow`), counting from when it was first watched.
+     * @param {string} mediaId the media ID to check
+     */
+    watchMedia(mediaId) {
+        if (!this._watched[mediaId]) this._watched[mediaId] = moment().valueOf();
+    }
+
+    /**
+     * Checks all recently bridged and watched media, publishing a `mediaDeleted` event for anything that no longer exists
+     * and a `mediaStats` event for everything else
+     * @private
+     */
+    _checkMedia() {
+        if (this._checking) {
+            log.warn("MediaReconciler", "Skipping regular check for deleted media: Currently checking media");
+            return;
+        }
+
+        this._checking = true;
+
+        var since = moment().subtract(this._window, 'hours').valueOf();
+        for (var watchedId of _.keys(this._watched)) {
+            if (this._watched[watchedId] < since) delete this._watched[watchedId];
+        }
+
+        InstagramStore.listRecentMediaIds(since).then(mediaIds => {
+            mediaIds = _.uniq(mediaIds.concat(_.keys(this._watched)));
+            log.info("MediaReconciler", "Checking " + mediaIds.length + " recently bridged media for deletion");
+
+            // Do a promise loop over the media to make sure we don't
+            // overrun ourselves with a lot of web requests
+            return mediaIds.reduce((prev, mediaId) => prev.then(() => this._checkMediaId(mediaId)), Promise.resolve());
+        }).catch(err => {
+            log.error("MediaReconciler", "Error checking for deleted media");
+            log.error("MediaReconciler", err);
+        }).then(() => {
+            this._checking = false;
+        });
+    }
+
+    /**
+     * Checks a single media ID for deletion
+     * @param {string} mediaId the media ID to check
+     * @return {Promise<>} resolves when the check is complete
+     * @private
+     */
+    _checkMediaId(mediaId) {
+        return InstagramApiHandler.media(mediaId).then(media => {
+            log.silly("MediaReconciler", "Media " + mediaId + " still exists");
+            PubSub.publish('mediaStats', {
+                mediaId: mediaId,
+                likes: media['likes'] ? media['likes']['count'] : 0,
+                comments: media['comments'] ? media['comments']['count'] : 0
+            });
+        }, err => {
+            if (!err || err.error_type !== "APINotFoundError") {
+                log.warn("MediaReconciler", "Could not determine if media " + mediaId + " still exists");
+                return;
+            }
+
+            log.info("MediaReconciler", "Media " + mediaId + " has been deleted from Instagram");
+            PubSub.publish('mediaDeleted', {mediaId: mediaId});
+        });
+    }
+}
+
+module.exports = new MediaReconciler();
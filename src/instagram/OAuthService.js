@@ -123,6 +123,18 @@ class OAuthService {
         return InstagramStore.deleteAuthTokens(mxId).then(() => InstagramStore.deletePendingAuthSessions(mxId));
     }
 
+    /**
+     * Revokes a Matrix ID's authorization for a single Instagram account. Other accounts the Matrix ID
+     * has authorized are unaffected.
+     * @param {string} mxId the matrix user ID
+     * @param {number} userId the user ID of the Instagram account to deauthorize
+     * @returns {Promise<>} resolves when complete
+     */
+    deauthorizeAccount(mxId, userId) {
+        log.info("OAuthService", "Revoke requested for account " + userId + " by " + mxId);
+        return InstagramStore.deleteAuthTokensForUser(mxId, userId);
+    }
+
     /**
      * Generates an authentication URL for a Matrix ID
      * @param {string} mxId the matrix user ID to generate the auth link for
@@ -5,12 +5,19 @@ var moment = require('moment');
 var fs = require("fs");
 var InstagramStore = require("./../storage/InstagramStore");
 var InstagramApiHandler = require("./InstagramApiHandler");
+var Priority = require("./RequestScheduler").Priority;
 var utils = require("../util/utils.js");
 var resemble = require('node-resemble-js');
+var LruCache = require("./../util/LruCache");
+
+const BUDGET_SHARE = 0.25; // fraction of the remaining rate limit profile updates may use per check
+const DEFAULT_CACHE_SIZE = 1000;
+const FAILED_RETRY_MINUTES = 15; // first wait before retrying a profile that failed to update, doubling with each failure
 
 /**
  * Represents a profile service for Instagram users. Keeps track of profile data, and runs a timer
- * to update this information periodically.
+ * to update this information periodically. Recently used profiles are kept in memory; everything
+ * else is loaded from the store when needed.
  */
 class ProfileService {
 
@@ -18,7 +25,8 @@ class ProfileService {
      * Creates a new Instagram profile service. Call `prepare` before use.
      */
     constructor() {
-        this._profiles = {}; // { handle: { accountId, displayName, avatarUrl, expiration } }
+        this._profiles = new LruCache(DEFAULT_CACHE_SIZE); // { handle: { accountId, displayName, avatarUrl, expires } }
+        this._failures = {}; // { userId: number of failed updates in a row }
         this._updating = false;
     }
 
@@ -27,16 +35,18 @@ class ProfileService {
      * @param {number} profileUpdateFrequency how often, in minutes, to perform a profile update check
      * @param {number} profileCacheTime how long, in hours, profile data is cached before re-checked
      * @param {number} profileUpdatesPerTick how many accounts maximum are updated per check
+     * @param {number} profileCacheSize how many profiles maximum are kept in memory
      * @return {Promise<>} resolves when complete
      */
-    prepare(profileUpdateFrequency, profileCacheTime, profileUpdatesPerTick) {
+    prepare(profileUpdateFrequency, profileCacheTime, profileUpdatesPerTick, profileCacheSize) {
         this._cacheTime = profileCacheTime;
         this._maxUpdates = profileUpdatesPerTick;
+        this._profiles = new LruCache(profileCacheSize || DEFAULT_CACHE_SIZE);
 
-        return this._loadFromCache().then(() => {
-            setInterval(this._checkProfiles.bind(this), profileUpdateFrequency * 60 * 1000);
-            this._checkProfiles();
-        });
+        setInterval(this._checkProfiles.bind(this), profileUpdateFrequency * 60 * 1000);
+        this._checkProfiles();
+
+        return Promise.resolve();
     }
 
     /**
@@ -52,37 +62,53 @@ class ProfileService {
         this._updating = true;
 
         log.info("ProfileService", "Starting profile update check. Finding first " + this._maxUpdates + " expired profiles");
-        var expiredProfiles = [];
-        for (var username in this._profiles) {
-            var profile = this._profiles[username];
-            if (profile.expires.isBefore(moment()))
-                expiredProfiles.push({username: username, profile: profile});
-        }
-        expiredProfiles.sort((a, b) => {
-            if (a.profile.expires.isBefore(b.profile.expires))
-                return -1;
-            if (a.profile.expires.isAfter(b.profile.expires))
-                return 1;
-            return 0;
-        });
-        log.verbose("ProfileService", expiredProfiles.length + " profiles are expired.");
+        InstagramApiHandler.getBudget().then(budget => {
+            // Leave the rest of the rate limit for media and interactive requests
+            var maxUpdates = Math.min(this._maxUpdates, Math.floor(budget.remaining * BUDGET_SHARE));
+            if (maxUpdates < this._maxUpdates)
+                log.warn("ProfileService", "Only updating " + maxUpdates + " profiles due to rate limit (" + budget.remaining + " requests remaining)");
+            if (maxUpdates <= 0) return [];
 
-        expiredProfiles = expiredProfiles.splice(0, this._maxUpdates); // don't process too much
+            return InstagramStore.listUsersWithExpiredProfiles(maxUpdates);
+        }).then(expiredUsers => {
+            log.verbose("ProfileService", "Updating " + expiredUsers.length + " expired profiles");
 
-        // Do a promise loop over the profiles to make sure we don't
-        // overrun ourselves with a lot of web requests
-        var i = 0;
-        var nextProfile = () => {
-            if (i >= expiredProfiles.length) {
-                this._updating = false;
-                return Promise.resolve();
-            }
+            // Do a promise loop over the profiles to make sure we don't
+            // overrun ourselves with a lot of web requests
+            return expiredUsers.reduce((prev, user) => prev.then(() => this._updateProfile(user.username).then(checked => {
+                if (checked) delete this._failures[user.id];
+                else return this._postponeProfile(user);
+            }, err => {
+                log.error("ProfileService", "Error updating profile for " + user.username);
+                log.error("ProfileService", err);
+                return this._postponeProfile(user);
+            })), Promise.resolve());
+        }).catch(err => {
+            log.error("ProfileService", "Error updating profiles");
+            log.error("ProfileService", err);
+        }).then(() => {
+            this._updating = false;
+        });
+    }
+
+    /**
+     * Pushes back the next update of a profile that could not be updated, so that broken accounts don't stop
+     * the others from being updated. Each failure in a row doubles the wait, up to the profile cache time.
+     * @param {User} user the bridge user whose profile could not be updated
+     * @return {Promise<>} resolves when the profile's expiration time has been pushed back
+     * @private
+     */
+    _postponeProfile(user) {
+        var failures = this._failures[user.id] = (this._failures[user.id] || 0) + 1;
+        var minutes = Math.min(this._cacheTime * 60, FAILED_RETRY_MINUTES * Math.pow(2, failures - 1));
+        var expires = moment().add(minutes, 'minutes');
+        log.warn("ProfileService", "Could not update profile for " + user.username + " (" + failures + " failures in a row). Trying again in " + minutes + " minutes");
 
-            return this._updateProfile(expiredProfiles[i].username);
-        };
-        nextProfile().then(() => {
-            i++;
-            return nextProfile();
+        var profile = this._profiles.get(user.username);
+        if (profile) profile.expires = expires;
+        return InstagramStore.updateProfileExpirationTime(user.id, expires.valueOf()).catch(err => {
+            log.error("ProfileService", "Error postponing profile update for " + user.username);
+            log.error("ProfileService", err);
         });
     }
 
@@ -90,29 +116,34 @@ class ProfileService {
      * Updates a profile. Optionally forcing an upgrade on the spot
      * @param {string} username the Instagram username to update
      * @param {boolean} [forceUpdate] if true, the profile will be updated regardless of expiration
-     * @return {Promise<>} resolves when the profile update check is complete
+     * @param {number} [priority] the RequestScheduler priority of the Instagram requests
+     * @return {Promise<boolean>} resolves when the profile update check is complete, to true if the account was checked with Instagram
      * @private
      */
-    _updateProfile(username, forceUpdate = false) {
+    _updateProfile(username, forceUpdate = false, priority = Priority.BACKGROUND) {
         var changed = false;
+        var checked = false;
         var user = null;
 
+        var profile = null;
+
         log.info("ProfileService", "Updating profile " + username + " (force = " + forceUpdate + ")");
-        if (!this._profiles[username]) {
-            this._profiles[username] = {
-                displayName: username,
-                avatarUrl: 'http://i.imgur.com/DQKje5W.png', // Instagram logo
-                accountId: null,
-                expires: moment().add(this._cacheTime, 'hours')
-            };
-            changed = true; // because it's new
-        }
+        return this._getCachedProfile(username).then(cachedProfile => {
+            profile = cachedProfile;
+            if (!profile) {
+                profile = {
+                    displayName: username,
+                    avatarUrl: 'http://i.imgur.com/DQKje5W.png', // Instagram logo
+                    accountId: null,
+                    expires: moment().add(this._cacheTime, 'hours')
+                };
+                this._profiles.set(username, profile);
+                changed = true; // because it's new
+            }
 
-        var profile = this._profiles[username];
+            if (profile.accountId) return profile.accountId;
 
-        var igProfilePromise = Promise.resolve(profile.accountId);
-        if (!profile.accountId) {
-            igProfilePromise = InstagramApiHandler.userSearch(username, {}).then(result => {
+            return InstagramApiHandler.userSearch(username, {}, priority).then(result => {
                 if (!result || result.length !== 1) {
                     log.warn("ProfileService", "Invalid number of results or bad response trying to look up account ID for " + username);
                     return null;
@@ -122,9 +153,7 @@ class ProfileService {
                 changed = true;
                 return profile.accountId;
             });
-        }
-
-        return igProfilePromise.then(accountId => {
+        }).then(accountId => {
             if (!accountId) {
                 log.warn("ProfileService", "Unknown account ID for user " + username + "; Skipping update");
                 return null;
@@ -133,11 +162,22 @@ class ProfileService {
             return InstagramStore.getOrCreateUser(username, profile.accountId);
         }).then(dbUser => {
             user = dbUser;
-            if (user.isDelisted) return Promise.resolve(null);
-            return InstagramApiHandler.user(profile.accountId);
+            if (!user || user.isDelisted) return Promise.resolve(null);
+            return InstagramApiHandler.user(profile.accountId, priority);
+        }).then(account => {
+            if (!account || !user || !account.username || account.username === user.username) return account;
+            return this._renameProfile(user, profile, account.username).then(() => {
+                username = user.username; // only changes if the rename was successful
+                return account;
+            });
         }).then(account => {
             if (!account || !user) return;
 
+            // The profile has been checked, so it is fresh again even if nothing changed
+            profile.expires = moment().add(this._cacheTime, 'hours');
+            changed = true;
+            checked = true;
+
             var aspectPromises = [];
 
             if (account.profile_picture != profile.avatarUrl || forceUpdate) {
@@ -174,7 +214,6 @@ class ProfileService {
                     log.verbose("ProfileService", "Performing avatar update for " + username + " = " + doUpdate);
                     if (!doUpdate) return;
                     profile.avatarUrl = account.profile_picture;
-                    profile.expires = moment().add(this._cacheTime, 'hours');
                     PubSub.publish("profileUpdate", {changed: 'avatar', profile: profile, username: username});
                     changed = true;
                 }));
@@ -183,7 +222,6 @@ class ProfileService {
             if (account.full_name != profile.displayName || forceUpdate) {
                 log.verbose("ProfileService", "Display name changed for " + username);
                 profile.displayName = account.full_name;
-                profile.expires = moment().add(this._cacheTime, 'hours');
                 PubSub.publish("profileUpdate", {changed: 'displayName', profile: profile, username: username});
                 changed = true;
                 aspectPromises.push(Promise.resolve());
@@ -194,6 +232,41 @@ class ProfileService {
             if (changed && user) {
                 return InstagramStore.updateUser(user.id, profile.displayName, profile.avatarUrl, profile.expires.valueOf());
             } else return Promise.resolve();
+        }).then(() => checked);
+    }
+
+    /**
+     * Moves a profile to a new username after the account has been renamed on Instagram. Publishes a
+     * `usernameChanged` event so the bridge can move rooms and virtual users over.
+     * @param {User} user the bridge user that was renamed
+     * @param {{accountId: string, displayName: string, avatarUrl: string, expires: moment}} profile the cached profile
+     * @param {string} newUsername the account's new username
+     * @return {Promise<>} resolves when the profile has been moved
+     * @private
+     */
+    _renameProfile(user, profile, newUsername) {
+        var oldUsername = user.username;
+        log.info("ProfileService", "Account " + profile.accountId + " has changed username from " + oldUsername + " to " + newUsername);
+
+        return InstagramStore.getUserByUsername(newUsername).then(existingUser => {
+            if (existingUser && existingUser.id !== user.id) {
+                // Usually the other account has changed its username too, and will be fixed when it is checked
+                log.warn("ProfileService", "Cannot rename " + oldUsername + " to " + newUsername + ": username belongs to account " + existingUser.accountId);
+                return;
+            }
+
+            return InstagramStore.renameUser(user.id, newUsername).then(() => {
+                user.username = newUsername;
+                this._profiles.delete(oldUsername);
+                this._profiles.set(newUsername, profile);
+                PubSub.publish("usernameChanged", {
+                    userId: user.id,
+                    accountId: profile.accountId,
+                    oldUsername: oldUsername,
+                    newUsername: newUsername,
+                    profile: profile
+                });
+            });
         });
     }
 
@@ -202,42 +275,54 @@ class ProfileService {
      * @param {string} username the Instagram username to queue for an update
      */
     queueProfileCheck(username) {
-        if (!this._profiles[username])
-            this._updateProfile(username, true);
-        // else the timer will take care of it naturally
+        this._getCachedProfile(username).then(profile => {
+            if (!profile) return this._updateProfile(username, true);
+            // else the timer will take care of it naturally
+        }).catch(err => {
+            log.error("ProfileService", "Error queueing profile check for " + username);
+            log.error("ProfileService", err);
+        });
     }
 
     /**
      * Retrieves the profile for an Instagram user. This will try to use the cache where possible,
      * only getting live data if it must.
      * @param {string} username the Instagram username to get the profile of
+     * @param {number} [priority] the RequestScheduler priority of any Instagram requests needed
      * @return {Promise<{username: string, displayName: string, avatarUrl: string}>} resolves to the profile of the user
      */
-    getProfile(username) {
-        if (this._profiles[username]) {
-            return Promise.resolve(this._profiles[username]);
-        } else {
-            return this._updateProfile(username, true).then(() => this._profiles[username]);
-        }
+    getProfile(username, priority = Priority.INTERACTIVE) {
+        return this._getCachedProfile(username).then(profile => {
+            if (profile) return profile;
+            return this._updateProfile(username, true, priority).then(() => this._profiles.get(username));
+        });
     }
 
     /**
-     * Loads all known users into the profile cache for queued updates
-     * @return {Promise<>} resolves when the cache has been populated
+     * Gets a profile from memory, falling back to the store. Profiles loaded from the store are kept in memory.
+     * @param {string} username the Instagram username to get the profile of
+     * @return {Promise<{accountId: string, displayName: string, avatarUrl: string, expires: moment}>} resolves to the profile, or null if unknown
      * @private
      */
-    _loadFromCache() {
-        return InstagramStore.listUsers().then(users => {
-            for (var user of users) {
-                this._profiles[user.username] = {
-                    accountId: user.accountId,
-                    displayName: user.displayName,
-                    avatarUrl: user.avatarUrl,
-                    expires: moment(user.profileExpires)
-                }
-            }
+    _getCachedProfile(username) {
+        var profile = this._profiles.get(username);
+        if (profile) return Promise.resolve(profile);
+
+        return InstagramStore.getUserByUsername(username).then(user => {
+            if (!user) return null;
 
-            log.info("ProfileService", "Loaded " + users.length + " users from cache");
+            // Another lookup may have cached the profile while we were waiting on the store
+            profile = this._profiles.get(username);
+            if (profile) return profile;
+
+            profile = {
+                accountId: user.accountId,
+                displayName: user.displayName,
+                avatarUrl: user.avatarUrl,
+                expires: moment(user.profileExpires)
+            };
+            this._profiles.set(username, profile);
+            return profile;
         });
     }
 }
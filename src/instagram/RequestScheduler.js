@@ -0,0 +1,193 @@
+var log = require("./../util/LogService");
+var moment = require('moment');
+
+/**
+ * The priorities a request can be scheduled with. Lower values are run first.
+ */
+const Priority = {
+    INTERACTIVE: 0, // a Matrix user is waiting on the result (admin commands, room creation, lookups)
+    PUSH: 1, // media we've been told about and should post promptly
+    BACKGROUND: 2 // periodic checks (profiles, polling, comments)
+};
+
+const PRIORITY_NAMES = ["interactive", "push", "background"];
+const BACKGROUND_BUDGET_SHARE = 0.8; // background requests stop early to leave headroom for pushes
+const METRICS_LOG_FREQUENCY_MINUTES = 5;
+
+/**
+ * Coordinates all requests to Instagram. Requests are queued by priority and run with limited concurrency
+ * within an hourly budget. Interactive requests always run first, are not subject to the budget, and
+ * have a slot reserved for them so background work cannot delay them.
+ */
+class RequestScheduler {
+
+    /**
+     * Creates a new request scheduler. Call `prepare` before use.
+     */
+    constructor() {
+        this._queues = PRIORITY_NAMES.map(() => []); // [ [ { fn, resolve, reject, queuedAt } ] ]
+        this._active = 0;
+        this._started = []; // times requests were started in the last hour, oldest first
+        this._concurrency = 1;
+        this._requestsPerHour = 0;
+        this._drainTimer = null;
+    }
+
+    /**
+     * Prepares the scheduler for use
+     * @param {number} requestConcurrency how many requests may be running at once
+     * @param {number} requestsPerHour how many non-interactive requests may be started per hour. Zero for no limit.
+     * @return {Promise<>} resolves when complete
+     */
+    prepare(requestConcurrency, requestsPerHour) {
+        this._concurrency = Math.max(1, requestConcurrency || 1);
+        this._requestsPerHour = requestsPerHour || 0;
+
+        setInterval(this._logMetrics.bind(this), METRICS_LOG_FREQUENCY_MINUTES * 60 * 1000);
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Queues a request to be run
+     * @param {number} priority the priority of the request, from `Priority`
+     * @param {function} fn the function that performs the request, returning a Promise
+     * @return {Promise<*>} resolves or rejects with the result of the request once it has been run
+     */
+    schedule(priority, fn) {
+        if (this._queues[priority] === undefined) priority = Priority.BACKGROUND;
+
+        return new Promise((resolve, reject) => {
+            this._queues[priority].push({fn: fn, resolve: resolve, reject: reject, queuedAt: moment().valueOf()});
+            this._drain();
+        });
+    }
+
+    /**
+     * Gets information about the current state of the queue
+     * @return {{active: number, queued: {interactive: number, push: number, background: number}, startedLastHour: number, concurrency: number, requestsPerHour: number}} the queue metrics
+     */
+    getMetrics() {
+        this._pruneStarted();
+
+        var queued = {};
+        for (var i = 0; i < PRIORITY_NAMES.length; i++)
+            queued[PRIORITY_NAMES[i]] = this._queues[i].length;
+
+        return {
+            active: this._active,
+            queued: queued,
+            startedLastHour: this._started.length,
+            concurrency: this._concurrency,
+            requestsPerHour: this._requestsPerHour
+        };
+    }
+
+    /**
+     * Starts as many queued requests as the concurrency and budget allow
+     * @private
+     */
+    _drain() {
+        this._pruneStarted();
+
+        var request;
+        while ((request = this._nextRequest()))
+            this._start(request);
+
+        // If requests are waiting on the budget, make sure we check again once some of it frees up. Requests that
+        // are only waiting on a free slot are started when a running request finishes.
+        var waitingPriority = this._queues.findIndex(q => q.length > 0);
+        if (waitingPriority !== -1 && !this._drainTimer && !this._isWithinBudget(waitingPriority)) {
+            var delay = Math.max(1000, moment(this._started[0]).add(1, 'hour').diff(moment()));
+            log.verbose("RequestScheduler", "Hourly budget used up. Waiting " + Math.ceil(delay / 1000) + " seconds to run more requests");
+            this._drainTimer = setTimeout(() => {
+                this._drainTimer = null;
+                this._drain();
+            }, delay);
+        }
+    }
+
+    /**
+     * Takes the next request to run off the queue, if one can be started
+     * @return {{fn: function, resolve: function, reject: function, queuedAt: number}} the request, or null if nothing can be started
+     * @private
+     */
+    _nextRequest() {
+        for (var priority = 0; priority < this._queues.length; priority++) {
+            if (this._queues[priority].length === 0) continue;
+
+            // Lower priorities are never less restricted, so they can't go ahead of this one either
+            if (!this._canStart(priority)) return null;
+            return this._queues[priority].shift();
+        }
+
+        return null;
+    }
+
+    /**
+     * Determines if a request of the given priority can be started right now
+     * @param {number} priority the priority of the request
+     * @return {boolean} true if the request can be started
+     * @private
+     */
+    _canStart(priority) {
+        var slots = this._concurrency;
+        if (priority !== Priority.INTERACTIVE && slots > 1) slots--; // keep a slot free for interactive requests
+        if (this._active >= slots) return false;
+
+        return this._isWithinBudget(priority);
+    }
+
+    /**
+     * Determines if the hourly budget allows another request of the given priority to be started
+     * @param {number} priority the priority of the request
+     * @return {boolean} true if the budget has room for the request
+     * @private
+     */
+    _isWithinBudget(priority) {
+        if (priority === Priority.INTERACTIVE || !this._requestsPerHour) return true;
+
+        var budget = this._requestsPerHour;
+        if (priority === Priority.BACKGROUND) budget = Math.floor(budget * BACKGROUND_BUDGET_SHARE);
+        return this._started.length < budget;
+    }
+
+    /**
+     * Runs a request, draining the queue again once it is complete
+     * @param {{fn: function, resolve: function, reject: function, queuedAt: number}} request the request to run
+     * @private
+     */
+    _start(request) {
+        this._active++;
+        this._started.push(moment().valueOf());
+        log.silly("RequestScheduler", "Starting request after waiting " + (moment().valueOf() - request.queuedAt) + "ms (" + this._active + " active)");
+
+        Promise.resolve().then(() => request.fn()).then(request.resolve, request.reject).then(() => {
+            this._active--;
+            this._drain();
+        });
+    }
+
+    /**
+     * Forgets requests started more than an hour ago
+     * @private
+     */
+    _pruneStarted() {
+        var cutoff = moment().subtract(1, 'hour').valueOf();
+        while (this._started.length > 0 && this._started[0] <= cutoff)
+            this._started.shift();
+    }
+
+    /**
+     * Logs the current queue metrics
+     * @private
+     */
+    _logMetrics() {
+        var metrics = this.getMetrics();
+        log.info("RequestScheduler", "Queue depth: " + metrics.queued.interactive + " interactive, " + metrics.queued.push + " push, " +
+            metrics.queued.background + " background. " + metrics.active + " active, " + metrics.startedLastHour + " started in the last hour");
+    }
+}
+
+module.exports = new RequestScheduler();
+module.exports.Priority = Priority;
@@ -1,13 +1,17 @@
 var _ = require("lodash");
-var OAuthService = require("./../instagram/OAuthService");
 var InstagramStore = require("./../storage/InstagramStore");
+var CommandRegistry = require("./commands/CommandRegistry");
 var log = require("../util/LogService");
+var moment = require("moment");
+
+const CONFIRMATION_TIMEOUT_MINUTES = 5;
 
 /**
  * Processes user-admin related functions in Matrix. For example, this will allow
  * the Matrix user to authenticate with the bridge.
  *
- * An admin room must be comprised of 2 people: the bridge bot and the human.
+ * An admin room must be comprised of 2 people: the bridge bot and the human. Admin rooms and the confirmations
+ * they are waiting on are kept in the store so they survive restarts.
  */
 class AdminRoom {
 
@@ -15,12 +19,49 @@ class AdminRoom {
      * Creates a new Matrix Admin Room
      * @param {string} roomId the Matrix room ID
      * @param {InstagramBridge} bridge the Instagram bridge
+     * @param {string} owner the Matrix user ID of the human in the room
      */
-    constructor(roomId, bridge) {
+    constructor(roomId, bridge, owner) {
         this._roomId = roomId;
         this._bridge = bridge;
+        this._owner = owner;
         this._enabled = true;
-        this._confirmFunc = null; // (boolean) => void;
+    }
+
+    /**
+     * Picks up where the room left off before the bridge restarted, such as timing out a confirmation
+     * the owner hasn't answered yet
+     * @return {Promise<>} resolves when complete
+     */
+    restore() {
+        return InstagramStore.getPendingConfirmation(this._roomId).then(confirmation => {
+            if (confirmation) this._scheduleConfirmationTimeout(confirmation);
+        });
+    }
+
+    /**
+     * Gets the Matrix user ID of the human this admin room is for
+     * @return {string} the owner's Matrix user ID
+     */
+    getOwner() {
+        return this._owner;
+    }
+
+    /**
+     * Tells the owner that one of their OAuth tokens is no longer accepted by Instagram
+     * @param {AuthToken} authToken the token that was invalidated
+     * @return {Promise<>} resolves when the notice has been sent
+     */
+    notifyTokenInvalidated(authToken) {
+        if (!this._enabled) return Promise.resolve();
+
+        return InstagramStore.getUserById(authToken.userId).then(user => {
+            var account = user ? "'" + user.username + "'" : "your account";
+            return this._bridge.getBotIntent().sendMessage(this._roomId, {
+                msgtype: "m.notice",
+                body: "Instagram is no longer accepting my authorization for " + account + ". This usually means access to the bridge was revoked on Instagram. To reauthenticate, please send me the command !auth"
+            });
+        });
     }
 
     /**
@@ -53,154 +94,97 @@ class AdminRoom {
     }
 
     /**
-     * Processes a message from the human in the room
-     * @param {string} sender the sender of the message
-     * @param {string} message the plain text message body
-     * @private
+     * Gets the Matrix room ID of this admin room
+     * @return {string} the room ID
      */
-    _processMessage(sender, message) {
-        if (this._confirmFunc) {
-            if (message == "!yes") {
-                this._confirmFunc(true);
-                this._confirmFunc = null;
-            } else if (message == "!no") {
-                this._confirmFunc(false);
-                this._confirmFunc = null;
-            } else {
-                this._bridge.getBotIntent().sendMessage(this._roomId, {
-                    msgtype: "m.notice",
-                    body: "Please confirm the existing prompt first using !yes or !no"
-                });
-            }
+    getRoomId() {
+        return this._roomId;
+    }
 
-            return;
-        }
+    /**
+     * Gets the Instagram bridge this admin room belongs to
+     * @return {InstagramBridge} the bridge
+     */
+    getBridge() {
+        return this._bridge;
+    }
 
-        if (message == "!auth") {
-            OAuthService.generateAuthUrl(sender).then(url => {
-                this._bridge.getBotIntent().sendMessage(this._roomId, {
-                    body: "Click the following link to authorize me to use your account: " + url,
-                    msgtype: "m.notice",
-                    format: "org.matrix.custom.html",
-                    formatted_body: "<a href=\"" + url + "\">Click here to authorize me to use your account</a>"
-                });
-            });
-        } else if (message == "!deauth") {
-            OAuthService.deauthorizeMatrixUser(sender).then(() => {
-                this._bridge.getBotIntent().sendMessage(this._roomId, {
-                    msgtype: "m.notice",
-                    body: "All of your authentication tokens for Instagram have been revoked. To reauthenticate, please send me the command !auth"
-                });
-            });
-        } else if (message == "!delist") {
-            InstagramStore.getAuthorizedAccounts(sender).then(accounts => {
-                if (accounts.length == 0) {
-                    this._bridge.getBotIntent().sendMessage(this._roomId, {
-                        msgtype: "m.notice",
-                        body: "You do not appear to have authorized any Instagram accounts. In order to remove your content, I need to prove that you have an Instagram account. Please use !auth to start the authentication process."
-                    });
-                } else {
-                    var question = "";
-                    if (accounts.length > 1) {
-                        question = "All of the media posted by this bridge to matrix for the following Instagram accounts is about to be removed and your authorization tokens will be revoked.\n\n";
-                        for (var account of accounts)
-                            question += "- " + account.username + "\n";
-                        question += "\nIf you'd like to continue with this, please send the message '!yes', otherwise say '!no'. This action cannot be undone.";
-                    } else {
-                        question = "All of the media posted by this bridge to matrix for the Instagram account '" + accounts[0].username + "' is about to be removed and your authorization tokens will be revoked. If you'd like to continue with this, please send the message '!yes', otherwise say '!no'. This action cannot be undone.";
-                    }
-
-                    this._confirmAction(question, (destroy) => {
-                        if (destroy) this._delistUsers(accounts, sender);
-                        else this._bridge.getBotIntent().sendMessage(this._roomId, {
-                            msgtype: "m.notice",
-                            body: "!no received - not deleting media"
-                        });
-                    });
-                }
-            });
-        } else { // !help
-            this._bridge.getBotIntent().sendMessage(this._roomId, {
-                msgtype: "m.notice",
-                body: "Available commands:\n" +
-                "!help   - This menu\n" +
-                "!auth   - Authorizes the bridge to use your Instagram account\n" +
-                "!deauth - Revokes all authentication tokens for your Instagram account\n" +
-                "!delist - Removes existing media and prevents the bridge from posting new media for your account(s)\n"
-            });
+    /**
+     * Sends a notice to the room as the bridge bot
+     * @param {string} body the plain text message
+     * @param {string} [formattedBody] the HTML version of the message, if any
+     * @return {Promise<>} resolves when the notice has been sent
+     */
+    sendNotice(body, formattedBody) {
+        var content = {msgtype: "m.notice", body: body};
+        if (formattedBody) {
+            content.format = "org.matrix.custom.html";
+            content.formatted_body = formattedBody;
         }
+        return this._bridge.getBotIntent().sendMessage(this._roomId, content);
     }
 
-    _confirmAction(question, fn) {
-        this._bridge.getBotIntent().sendMessage(this._roomId, {
-            msgtype: "m.notice",
-            body: question
+    /**
+     * Asks the human in the room to confirm an action with !yes or !no. Only one prompt can be active at a
+     * time, and prompts time out after a few minutes. The answer is passed to the command's `confirm` function
+     * along with the data given here, even if the bridge restarts in between.
+     * @param {string} question the question to ask
+     * @param {string} sender the matrix user ID that has to confirm
+     * @param {string} command the name of the command to send the answer to
+     * @param {*} data what the command needs to carry out the action. Must be serializable to JSON.
+     * @return {Promise<>} resolves when the question has been asked
+     */
+    confirmAction(question, sender, command, data) {
+        var expiresAt = moment().add(CONFIRMATION_TIMEOUT_MINUTES, 'minutes').valueOf();
+        return InstagramStore.setPendingConfirmation(this._roomId, sender, command, data, expiresAt).then(confirmation => {
+            this._scheduleConfirmationTimeout(confirmation);
+            return this.sendNotice(question);
         });
-
-        this._confirmFunc = fn;
-        setTimeout(() => {
-            if (this._confirmFunc === fn) {
-                this._confirmFunc = null;
-                this._bridge.getBotIntent().sendMessage(this._roomId, {
-                    msgtype: "m.notice",
-                    body: "Confirmation timed out. Please retry."
-                });
-            }
-        }, 60000);
     }
 
-    _delistUsers(accounts, mxId) {
-        log.info("AdminRoom", "Starting delist for " + mxId);
-        this._bridge.getBotIntent().sendMessage(this._roomId, {
-            msgtype: "m.notice",
-            body: "Delisting your account now. This may take a while, but I'll update you when I've finished trying to remove your media from matrix."
-        });
-
-        OAuthService.deauthorizeMatrixUser(mxId);
-
-        var mediaEventPromises = [];
-        var createEventPromise = (account) => {
-            return InstagramStore.flagDelisted(account.id, true).then(() => {
-                return InstagramStore.getMediaEvents(account.id).then(events => {
-                    return {username: account.username, events: events};
-                });
+    /**
+     * Tells the owner when a confirmation times out, unless it has been answered by then
+     * @param {PendingConfirmation} confirmation the confirmation to time out
+     * @private
+     */
+    _scheduleConfirmationTimeout(confirmation) {
+        var delay = Math.max(0, confirmation.expiresAt - moment().valueOf());
+        setTimeout(() => {
+            InstagramStore.getPendingConfirmation(this._roomId).then(current => {
+                if (!current || current.id !== confirmation.id) return; // answered or replaced
+                return InstagramStore.deletePendingConfirmation(this._roomId).then(() => this.sendNotice("Confirmation timed out. Please retry."));
+            }).catch(err => {
+                log.error("AdminRoom", "Error timing out confirmation in " + this._roomId);
+                log.error("AdminRoom", err);
             });
-        };
-        for (var account of accounts) {
-            mediaEventPromises.push(createEventPromise(account));
-        }
+        }, delay);
+    }
 
-        var redactedCount = 0;
-        var redactFailedCount = 0;
+    /**
+     * Processes a message from the human in the room
+     * @param {string} sender the sender of the message
+     * @param {string} message the plain text message body
+     * @private
+     */
+    _processMessage(sender, message) {
+        InstagramStore.getPendingConfirmation(this._roomId).then(confirmation => {
+            if (confirmation && confirmation.expiresAt <= moment().valueOf()) {
+                // Timed out, but the timer hasn't caught up yet
+                return InstagramStore.deletePendingConfirmation(this._roomId).then(() => null);
+            }
+            return confirmation;
+        }).then(confirmation => {
+            if (!confirmation) return CommandRegistry.execute(this, sender, message);
 
-        Promise.all(mediaEventPromises).then(results => {
-            var allEvents = [];
-            for (var result of results) {
-                for (var event of result.events) {
-                    event.__igUsername = result.username;
-                    allEvents.push(event);
-                }
+            if (message == "!yes" || message == "!no") {
+                return InstagramStore.deletePendingConfirmation(this._roomId)
+                    .then(() => CommandRegistry.confirm(this, confirmation, message == "!yes"));
             }
 
-            log.info("AdminRoom", "Redacting " + allEvents.length + " for " + mxId);
-
-            return allEvents.reduce((prev, cur) => prev.then(() => {
-                // TODO: Only process already not-redacted events
-                var intent = this._bridge.getIgUserIntent(cur.__igUsername);
-                log.verbose("AdminRoom", "Redacting event " + cur.mxEventId + " in room " + cur.mxRoomId + " for Instagram username " + cur.__igUsername);
-                return intent.getClient().redactEvent(cur.mxRoomId, cur.mxEventId).then(() => redactedCount++, () => redactFailedCount++);
-            }), Promise.resolve());
-        }).then(() => {
-            log.info("AdminRoom", "Done redacting events for " + mxId);
-            var message = redactedCount + " events have been redacted. ";
-            if (redactFailedCount > 0)
-                message += redactFailedCount + " were not able to be redacted. ";
-            else message += "No events appear to have been missed. ";
-            message += "To re-activate the bridge, please start a new !auth attempt";
-            this._bridge.getBotIntent().sendMessage(this._roomId, {
-                msgtype: "m.notice",
-                body: message
-            });
+            return this.sendNotice("Please confirm the existing prompt first using !yes or !no");
+        }).catch(err => {
+            log.error("AdminRoom", "Error processing message from " + sender + " in " + this._roomId);
+            log.error("AdminRoom", err);
         });
     }
 }
@@ -0,0 +1,60 @@
+var InstagramStore = require("./../storage/InstagramStore");
+var _ = require("lodash");
+
+// Instagram usernames are limited to letters, numbers, periods, and underscores
+const MENTION_REGEX = /(^|[^\w.])@([A-Za-z0-9._]{1,30})/g;
+const HASHTAG_REGEX = /(^|[^\w&])#(\w+)/g;
+
+/**
+ * Formats Instagram captions for Matrix. Hashtags and mentions are turned into links, preferring
+ * to link mentions to the virtual user for the mentioned account if it is bridged.
+ */
+class CaptionFormatter {
+
+    /**
+     * Creates a new caption formatter
+     * @param {string} domain the homeserver domain virtual users live on
+     */
+    constructor(domain) {
+        this._domain = domain;
+    }
+
+    /**
+     * Formats a caption for a post
+     * @param {string} caption the caption text, may be null
+     * @param {string} sourceUrl the URL of the post on Instagram
+     * @return {Promise<{body: string, formatted_body: string}>} resolves to the formatted caption, or null if there is no caption
+     */
+    format(caption, sourceUrl) {
+        if (!caption) return Promise.resolve(null);
+
+        var handles = [];
+        caption.replace(MENTION_REGEX, (match, prefix, handle) => handles.push(handle));
+
+        return Promise.all(_.uniq(handles).map(h => InstagramStore.getUserByUsername(h))).then(users => {
+            var bridgedHandles = users.filter(u => u && !u.isDelisted).map(u => u.username);
+
+            var html = _.escape(caption);
+            html = html.replace(MENTION_REGEX, (match, prefix, handle) => {
+                var url = bridgedHandles.indexOf(handle) !== -1
+                    ? "https://matrix.to/#/@_instagram_" + handle + ":" + this._domain
+                    : "https://www.instagram.com/" + handle + "/";
+                return prefix + "<a href=\"" + url + "\">@" + handle + "</a>";
+            });
+            html = html.replace(HASHTAG_REGEX, (match, prefix, tag) => {
+                return prefix + "<a href=\"https://www.instagram.com/explore/tags/" + encodeURIComponent(tag) + "/\">#" + tag + "</a>";
+            });
+            html = html.replace(/\n/g, "<br/>");
+
+            var body = caption;
+            if (sourceUrl) {
+                body += "\n\n" + sourceUrl;
+                html += "<br/><br/><a href=\"" + _.escape(sourceUrl) + "\">View on Instagram</a>";
+            }
+
+            return {body: body, formatted_body: html};
+        });
+    }
+}
+
+module.exports = CaptionFormatter;
@@ -0,0 +1,67 @@
+var log = require("./../util/LogService");
+var util = require("./../util/utils.js");
+var InstagramStore = require("./../storage/InstagramStore");
+
+/**
+ * Uploads content to the homeserver, reusing previous uploads where possible. Content is looked up by the
+ * URL it came from. Content from a new URL is downloaded and hashed first, and if it is identical to something
+ * already uploaded it is given the existing MXC URI instead of being uploaded again, so the same file is shared
+ * across rooms and profiles.
+ */
+class MediaCache {
+
+    /**
+     * Creates a new media cache
+     */
+    constructor() {
+        this._pending = {}; // { sourceUrl: Promise<string> }
+    }
+
+    /**
+     * Gets an MXC URI for content at a given URL, uploading it if it hasn't been uploaded before
+     * @param {Bridge} bridge the bridge to upload with
+     * @param {string} url the URL of the content
+     * @param {string|Intent} [intent] the user ID or intent to upload as, if an upload is needed
+     * @param {string} [name] the name of the file, if an upload is needed
+     * @return {Promise<string>} resolves to the MXC URI for the content
+     */
+    uploadFromUrl(bridge, url, intent, name) {
+        return this.upload(bridge, url, intent, name).then(media => media.mxcUrl);
+    }
+
+    /**
+     * Gets the uploaded content for a given URL, uploading it if it hasn't been uploaded before
+     * @param {Bridge} bridge the bridge to upload with
+     * @param {string} url the URL of the content
+     * @param {string|Intent} [intent] the user ID or intent to upload as, if an upload is needed
+     * @param {string} [name] the name of the file, if an upload is needed
+     * @return {Promise<CachedMedia>} resolves to the uploaded content, including its MXC URI, size and mimetype
+     */
+    upload(bridge, url, intent, name) {
+        // Several rooms or profiles often want the same content at once: only upload it once
+        if (this._pending[url]) return this._pending[url];
+
+        var promise = InstagramStore.getCachedMediaByUrl(url).then(cached => {
+            if (cached) {
+                log.silly("MediaCache", "Using cached upload " + cached.mxcUrl + " for " + url);
+                return cached;
+            }
+
+            var findExisting = contentHash => InstagramStore.getCachedMediaByHash(contentHash).then(existing => existing ? existing.mxcUrl : null);
+            return util.uploadHashedContentFromUrl(bridge, url, intent, name, findExisting).then(result => {
+                if (!result.uploaded)
+                    log.verbose("MediaCache", "Content from " + url + " was already uploaded to " + result.contentUri + ". Using that instead");
+
+                return InstagramStore.storeCachedMedia(url, result.contentHash, result.contentUri, result.size, result.mimetype);
+            });
+        });
+
+        this._pending[url] = promise;
+        var done = () => delete this._pending[url];
+        promise.then(done, done);
+
+        return promise;
+    }
+}
+
+module.exports = new MediaCache();
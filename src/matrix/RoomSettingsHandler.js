@@ -0,0 +1,164 @@
+var log = require("./../util/LogService");
+var _ = require("lodash");
+
+const SETTINGS_EVENT_TYPE = "io.t2l.instagram.room_settings";
+const MIN_POWER_LEVEL = 50; // room moderators and up may change the settings
+
+const DEFAULT_SETTINGS = {
+    media_types: "all", // "all", "images", or "videos"
+    captions: true,
+    comments: true,
+    msgtype: "message", // "message" or "notice" for the text the bridge posts (captions, comments)
+    min_likes: 0
+};
+
+/**
+ * Keeps track of the per-room bridge settings stored in the `io.t2l.instagram.room_settings` state event.
+ * Settings are only honored if they were set by someone with enough power in the room, otherwise the
+ * previous settings (or the defaults) are kept. The bridge bot puts the previous settings back in the room
+ * state so that they are still used after a restart.
+ */
+class RoomSettingsHandler {
+
+    /**
+     * Creates a new room settings handler
+     * @param {InstagramBridge} bridge the Instagram bridge
+     */
+    constructor(bridge) {
+        this._bridge = bridge;
+        this._settings = {}; // { roomId: settings }
+    }
+
+    /**
+     * Gets the settings for a room
+     * @param {string} roomId the matrix room ID
+     * @param {Intent} [intent] an intent that can read the room state. Defaults to the bridge bot.
+     * @return {Promise<{media_types: string, captions: boolean, comments: boolean, msgtype: string, min_likes: number}>} resolves to the room settings
+     */
+    getSettings(roomId, intent = null) {
+        if (this._settings[roomId]) return Promise.resolve(this._settings[roomId]);
+
+        return (intent || this._bridge.getBotIntent()).roomState(roomId).then(state => {
+            var settingsEvent = _.find(state, e => e.type === SETTINGS_EVENT_TYPE && e.state_key === "");
+            var powerLevelsEvent = _.find(state, e => e.type === "m.room.power_levels" && e.state_key === "");
+
+            var settings = _.clone(DEFAULT_SETTINGS);
+            if (settingsEvent) {
+                var powerLevels = powerLevelsEvent ? powerLevelsEvent.content : {};
+                if (this._mayChangeSettings(settingsEvent.sender, powerLevels)) settings = this._sanitize(settingsEvent.content);
+                else {
+                    // Changed while we weren't watching: fall back to the settings it replaced
+                    log.warn("RoomSettingsHandler", "Ignoring settings in room " + roomId + " set by " + settingsEvent.sender + ": not enough power");
+                    settings = this._sanitize(this._getPreviousContent(settingsEvent));
+                }
+            }
+
+            this._settings[roomId] = settings;
+            return settings;
+        }).catch(err => {
+            log.warn("RoomSettingsHandler", "Could not read settings for room " + roomId + ". Using defaults");
+            log.warn("RoomSettingsHandler", err);
+            return _.clone(DEFAULT_SETTINGS);
+        });
+    }
+
+    /**
+     * Processes an event that may change the settings for a room
+     * @param {MatrixEvent} event the event to process
+     * @return {Promise<>} resolves when processing is complete
+     */
+    handleEvent(event) {
+        if (event.type !== SETTINGS_EVENT_TYPE || event.state_key !== "") return Promise.resolve();
+
+        var intent = this._bridge.getBotIntent();
+        return intent.getClient().getStateEvent(event.room_id, "m.room.power_levels", "").catch(() => ({})).then(powerLevels => {
+            if (!this._mayChangeSettings(event.sender, powerLevels)) {
+                log.warn("RoomSettingsHandler", event.sender + " tried to change the settings for " + event.room_id + " without enough power");
+                var previous = this._settings[event.room_id] || this._sanitize(this._getPreviousContent(event));
+                this._settings[event.room_id] = previous;
+
+                return intent.sendMessage(event.room_id, {
+                    msgtype: "m.notice",
+                    body: "Sorry, you need a power level of at least " + this._getRequiredPower(powerLevels) + " to change the Instagram bridge settings. I've put the previous settings back."
+                }).catch(err => log.warn("RoomSettingsHandler", err)).then(() => {
+                    return intent.sendStateEvent(event.room_id, SETTINGS_EVENT_TYPE, "", previous);
+                }).catch(err => {
+                    log.warn("RoomSettingsHandler", "Could not restore the previous settings for " + event.room_id);
+                    log.warn("RoomSettingsHandler", err);
+                });
+            }
+
+            this._settings[event.room_id] = this._sanitize(event.content);
+            log.info("RoomSettingsHandler", "Settings for room " + event.room_id + " updated by " + event.sender + ": " + JSON.stringify(this._settings[event.room_id]));
+        });
+    }
+
+    /**
+     * Determines if a user may change the room settings. The bridge's own users always may, so that it can
+     * restore settings changed by someone without enough power.
+     * @param {string} userId the user ID to check
+     * @param {*} powerLevels the content of the room's power levels event
+     * @return {boolean} true if the user may change the settings
+     * @private
+     */
+    _mayChangeSettings(userId, powerLevels) {
+        return this._bridge.isBridgeUser(userId) || this._hasPower(userId, powerLevels);
+    }
+
+    /**
+     * Gets the content a settings event replaced
+     * @param {MatrixEvent} event the settings event
+     * @return {*} the previous content, or null if the event didn't replace any settings
+     * @private
+     */
+    _getPreviousContent(event) {
+        if (event.unsigned && event.unsigned.prev_content) return event.unsigned.prev_content;
+        return event.prev_content || null;
+    }
+
+    /**
+     * Determines if a user has enough power to change the room settings
+     * @param {string} userId the user ID to check
+     * @param {*} powerLevels the content of the room's power levels event
+     * @return {boolean} true if the user may change the settings
+     * @private
+     */
+    _hasPower(userId, powerLevels) {
+        var users = powerLevels.users || {};
+        var userLevel = users[userId] !== undefined ? users[userId] : (powerLevels.users_default || 0);
+        return userLevel >= this._getRequiredPower(powerLevels);
+    }
+
+    /**
+     * Gets the power level needed to change the room settings
+     * @param {*} powerLevels the content of the room's power levels event
+     * @return {number} the power level required
+     * @private
+     */
+    _getRequiredPower(powerLevels) {
+        var events = powerLevels.events || {};
+        var eventLevel = events[SETTINGS_EVENT_TYPE] !== undefined ? events[SETTINGS_EVENT_TYPE] : powerLevels.state_default;
+        return Math.max(MIN_POWER_LEVEL, eventLevel || 0);
+    }
+
+    /**
+     * Converts the content of a settings event to settings, using the defaults for anything missing or invalid
+     * @param {*} content the event content
+     * @return {{media_types: string, captions: boolean, comments: boolean, msgtype: string, min_likes: number}} the settings
+     * @private
+     */
+    _sanitize(content) {
+        content = content || {};
+        var settings = _.clone(DEFAULT_SETTINGS);
+
+        if (["all", "images", "videos"].indexOf(content.media_types) !== -1) settings.media_types = content.media_types;
+        if (typeof(content.captions) === "boolean") settings.captions = content.captions;
+        if (typeof(content.comments) === "boolean") settings.comments = content.comments;
+        if (["message", "notice"].indexOf(content.msgtype) !== -1) settings.msgtype = content.msgtype;
+        if (typeof(content.min_likes) === "number" && content.min_likes >= 0) settings.min_likes = Math.floor(content.min_likes);
+
+        return settings;
+    }
+}
+
+module.exports = RoomSettingsHandler;
@@ -0,0 +1,187 @@
+var log = require("./../util/LogService");
+var InstagramApiHandler = require("./../instagram/InstagramApiHandler");
+var Priority = require("./../instagram/RequestScheduler").Priority;
+var InstagramStore = require("./../storage/InstagramStore");
+
+const PROTOCOL = "instagram";
+const MAX_SEARCH_RESULTS = 10;
+
+/**
+ * Answers third party lookup requests from the homeserver, allowing Matrix clients to find Instagram
+ * accounts and their feed rooms through the room directory.
+ */
+class ThirdPartyLookup {
+
+    /**
+     * Creates a new third party lookup handler
+     * @param {string} domain the homeserver domain virtual users and aliases live on
+     * @param {string} iconUrl the URL of the icon to show for the protocol
+     */
+    constructor(domain, iconUrl) {
+        this._domain = domain;
+        this._iconUrl = iconUrl;
+    }
+
+    /**
+     * Gets the third party lookup controller for the matrix-appservice-bridge
+     * @return {Bridge~thirdPartyLookup} the lookup controller
+     */
+    getController() {
+        return {
+            protocols: [PROTOCOL],
+            getProtocol: this.getProtocol.bind(this),
+            getLocation: this.getLocation.bind(this),
+            parseLocation: this.parseLocation.bind(this),
+            getUser: this.getUser.bind(this),
+            parseUser: this.parseUser.bind(this)
+        };
+    }
+
+    /**
+     * Gets the metadata for the Instagram protocol
+     * @return {Promise<*>} resolves to the protocol metadata
+     */
+    getProtocol() {
+        return Promise.resolve({
+            user_fields: ["username"],
+            location_fields: ["username"],
+            icon: this._iconUrl,
+            field_types: {
+                username: {
+                    regexp: "[A-Za-z0-9._]{1,30}",
+                    placeholder: "instagram"
+                }
+            },
+            instances: [{
+                desc: "Instagram",
+                icon: this._iconUrl,
+                fields: {},
+                network_id: PROTOCOL
+            }]
+        });
+    }
+
+    /**
+     * Finds feed rooms for Instagram accounts matching a username
+     * @param {string} protocol the protocol being queried
+     * @param {{username: string}} fields the query fields
+     * @return {Promise<{alias: string, protocol: string, fields: *}[]>} resolves to the matching locations
+     */
+    getLocation(protocol, fields) {
+        return this._searchUsernames(fields.username).then(usernames => {
+            // Feed rooms can only be created for accounts that have authorized the bridge
+            return Promise.all(usernames.map(u => InstagramStore.hasAuthTokens(u))).then(authed => usernames.filter((u, i) => authed[i]));
+        }).then(usernames => usernames.map(u => this._toLocation(u)));
+    }
+
+    /**
+     * Resolves a feed room alias to an Instagram account
+     * @param {string} alias the room alias to parse
+     * @return {Promise<{alias: string, protocol: string, fields: *}[]>} resolves to the matching location, if any
+     */
+    parseLocation(alias) {
+        var username = this._parseLocalpart(alias, "#");
+        if (!username) return Promise.resolve([]);
+        return Promise.resolve([this._toLocation(username)]);
+    }
+
+    /**
+     * Finds virtual users for Instagram accounts matching a username
+     * @param {string} protocol the protocol being queried
+     * @param {{username: string}} fields the query fields
+     * @return {Promise<{userid: string, protocol: string, fields: *}[]>} resolves to the matching users
+     */
+    getUser(protocol, fields) {
+        return this._searchUsernames(fields.username).then(usernames => usernames.map(u => this._toUser(u)));
+    }
+
+    /**
+     * Resolves a virtual user ID to an Instagram account. Accounts the bridge doesn't know about are looked up
+     * with a single search within the hourly budget, like `getUser`, without storing a profile for them.
+     * @param {string} userId the user ID to parse
+     * @return {Promise<{userid: string, protocol: string, fields: *}[]>} resolves to the matching user, if any
+     */
+    parseUser(userId) {
+        var username = this._parseLocalpart(userId, "@");
+        if (!username) return Promise.resolve([]);
+
+        return InstagramStore.getUserByUsername(username).then(user => {
+            if (user) return [this._toUser(user.username)];
+            return this._searchUsernames(username).then(usernames => {
+                if (usernames[0] !== username.toLowerCase()) return [];
+                return [this._toUser(usernames[0])];
+            });
+        });
+    }
+
+    /**
+     * Finds Instagram usernames matching a search term, with an exact match first. Clients may search on every
+     * keystroke, so this is a single request within the hourly budget that doesn't cache or store any profiles.
+     * @param {string} term the username to search for
+     * @return {Promise<string[]>} resolves to the matching usernames
+     * @private
+     */
+    _searchUsernames(term) {
+        if (!term) return Promise.resolve([]);
+        term = term.trim().toLowerCase();
+        if (term.indexOf("@") === 0) term = term.substring(1);
+
+        return InstagramApiHandler.userSearch(term, {count: MAX_SEARCH_RESULTS}, Priority.PUSH).then(results => {
+            var usernames = (results || []).slice(0, MAX_SEARCH_RESULTS).map(r => r['username']);
+            var exactIdx = usernames.indexOf(term);
+            if (exactIdx > 0) usernames.unshift(usernames.splice(exactIdx, 1)[0]);
+            return usernames;
+        }).catch(err => {
+            log.error("ThirdPartyLookup", "Error searching for " + term);
+            log.error("ThirdPartyLookup", err);
+            return [];
+        });
+    }
+
+    /**
+     * Gets the Instagram username from a virtual user ID or account room alias
+     * @param {string} id the user ID or alias
+     * @param {string} sigil the sigil expected at the start of the ID
+     * @return {string} the username, or null if the ID is not for an Instagram account
+     * @private
+     */
+    _parseLocalpart(id, sigil) {
+        var prefix = sigil + "_instagram_";
+        var suffix = ":" + this._domain;
+        if (!id || id.indexOf(prefix) !== 0 || !id.endsWith(suffix)) return null;
+
+        var username = id.substring(prefix.length, id.length - suffix.length);
+        if (username.indexOf("tag_") === 0 || username.indexOf("loc_") === 0) return null; // feed rooms
+        return username;
+    }
+
+    /**
+     * Creates a third party location result for an Instagram account
+     * @param {string} username the Instagram username
+     * @return {{alias: string, protocol: string, fields: *}} the location
+     * @private
+     */
+    _toLocation(username) {
+        return {
+            alias: "#_instagram_" + username + ":" + this._domain,
+            protocol: PROTOCOL,
+            fields: {username: username}
+        };
+    }
+
+    /**
+     * Creates a third party user result for an Instagram account
+     * @param {string} username the Instagram username
+     * @return {{userid: string, protocol: string, fields: *}} the user
+     * @private
+     */
+    _toUser(username) {
+        return {
+            userid: "@_instagram_" + username + ":" + this._domain,
+            protocol: PROTOCOL,
+            fields: {username: username}
+        };
+    }
+}
+
+module.exports = ThirdPartyLookup;
@@ -0,0 +1,53 @@
+var InstagramStore = require("./../../storage/InstagramStore");
+var InstagramApiHandler = require("./../../instagram/InstagramApiHandler");
+var moment = require("moment");
+var _ = require("lodash");
+
+/**
+ * Describes the health of the tokens for an account in a way the owner can act on
+ * @param {AuthToken[]} tokens the tokens for the account
+ * @returns {string} the description
+ */
+function describeTokenHealth(tokens) {
+    var validTokens = tokens.filter(t => !t.isInvalid);
+    if (validTokens.length == 0) return "authorization revoked by Instagram (use !auth to fix)";
+
+    var health = validTokens.map(t => InstagramApiHandler.getTokenHealth(t.token));
+    if (health.every(h => h.backedOff)) return "rate limited";
+
+    var remaining = _.sum(health.filter(h => !h.backedOff).map(h => h.remaining));
+    var limit = _.sum(health.filter(h => !h.backedOff).map(h => h.limit));
+    return "working (" + remaining + "/" + limit + " requests left this hour)";
+}
+
+/**
+ * Lists the Instagram accounts the sender has authorized, with when each was linked and whether Instagram
+ * still accepts the bridge's access to it
+ */
+module.exports = {
+    name: "accounts",
+    summary: "Lists the Instagram accounts you have authorized",
+    help: "Lists every Instagram account you have authorized with the date it was linked and whether the bridge can still use it. " +
+    "If Instagram no longer accepts the bridge's access to an account, run !auth again for that account.",
+    execute: (context) => {
+        return Promise.all([InstagramStore.getAuthorizedAccounts(context.sender), InstagramStore.getAllAuthTokens(context.sender)]).then(results => {
+            var accounts = _.uniqBy(results[0], a => a.id);
+            var tokens = results[1];
+
+            var body = "You have not authorized any Instagram accounts. Use !auth to link one.";
+            if (accounts.length > 0) {
+                body = "You have authorized the following Instagram accounts:\n\n";
+                for (var account of accounts) {
+                    var accountTokens = tokens.filter(t => t.userId === account.id);
+                    var linkedAt = _.min(accountTokens.map(t => t.createdAt).filter(t => t));
+                    body += "- " + account.username + ": linked " + (linkedAt ? moment(linkedAt).format("YYYY-MM-DD") : "before link dates were recorded");
+                    body += ", " + describeTokenHealth(accountTokens);
+                    if (account.isDelisted) body += ", delisted";
+                    body += "\n";
+                }
+            }
+
+            return context.room.sendNotice(body);
+        });
+    }
+};
@@ -0,0 +1,20 @@
+var OAuthService = require("./../../instagram/OAuthService");
+
+/**
+ * Sends the sender a link to authorize the bridge to use their Instagram account
+ */
+module.exports = {
+    name: "auth",
+    aliases: ["login"],
+    summary: "Authorizes the bridge to use your Instagram account",
+    help: "Sends you a link to Instagram where you can allow the bridge to use your account. Once authorized, your media " +
+    "is posted to Matrix as soon as you post it. You can authorize several Instagram accounts by running this command once for each account.",
+    execute: (context) => {
+        return OAuthService.generateAuthUrl(context.sender).then(url => {
+            return context.room.sendNotice(
+                "Click the following link to authorize me to use your account: " + url,
+                "<a href=\"" + url + "\">Click here to authorize me to use your account</a>"
+            );
+        });
+    }
+};
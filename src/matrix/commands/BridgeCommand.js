@@ -0,0 +1,31 @@
+var log = require("./../../util/LogService");
+
+/**
+ * Bridges an Instagram account into a room the sender moderates
+ */
+module.exports = {
+    name: "bridge",
+    aliases: ["follow"],
+    args: [
+        {name: "handle", type: "handle", description: "The Instagram username to follow"},
+        {name: "room", type: "room", description: "The room ID or alias of the room to post the account's media in"}
+    ],
+    summary: "Posts the Instagram account's media in a room you moderate",
+    help: "Invites the Instagram account to a room so its new media is posted there. You need a power level of at least 50 in the room, " +
+    "and I need to be able to join it: if the room is private, invite me to it first.",
+    execute: (context) => {
+        var room = context.room;
+        var handle = context.args.handle;
+        var target = context.args.room;
+        if (target === room.getRoomId())
+            return room.sendNotice("Instagram accounts can't be bridged to this room. Please pick a different room.");
+
+        return room.getBridge().linkRoom(target, handle, context.sender).then(() => {
+            return room.sendNotice(handle + " is now bridged to " + target + ". New media will be posted there.");
+        }, err => {
+            log.error("BridgeCommand", "Failed to bridge " + handle + " in " + target + " for " + context.sender);
+            log.error("BridgeCommand", err);
+            return room.sendNotice("Sorry, I couldn't do that: " + (err && err.message ? err.message : "an unknown error occurred"));
+        });
+    }
+};
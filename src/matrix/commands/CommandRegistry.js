@@ -0,0 +1,202 @@
+var log = require("./../../util/LogService");
+
+/**
+ * The types an argument can have. Each parses the raw text the user gave, returning null if it is invalid.
+ */
+const ARG_TYPES = {
+    string: {
+        parse: value => value
+    },
+    handle: {
+        // Instagram usernames are limited to letters, numbers, periods, and underscores
+        parse: value => {
+            value = value.replace(/^@/, "").toLowerCase();
+            return /^[a-z0-9._]{1,30}$/.test(value) ? value : null;
+        },
+        error: "is not a valid Instagram username"
+    },
+    room: {
+        parse: value => /^[!#][^:]+:.+$/.test(value) ? value : null,
+        error: "is not a room ID (!abc:example.org) or alias (#room:example.org)"
+    }
+};
+
+const BUILTIN_COMMANDS = [
+    "./HelpCommand",
+    "./AuthCommand",
+    "./AccountsCommand",
+    "./DeauthCommand",
+    "./DelistCommand",
+    "./BridgeCommand",
+    "./UnbridgeCommand",
+    "./ListCommand",
+    "./StatsCommand",
+    "./UserCommand",
+    "./RefreshCommand",
+    "./DelistAdminCommand",
+    "./ResubscribeCommand"
+];
+
+/**
+ * Keeps track of the commands available in admin rooms. Commands are objects of the form:
+ * {
+ *   name: string, // without the leading !
+ *   aliases: string[], // optional, other names for the command
+ *   args: [{name: string, type: string, optional: boolean, description: string}], // optional, in order
+ *   summary: string, // one line, shown in !help
+ *   help: string, // optional, detailed usage shown in !help <command>
+ *   adminOnly: boolean, // optional, if true only bridge admins may use the command
+ *   execute: ({room: AdminRoom, sender: string, args: *, registry: CommandRegistry}) => Promise<>,
+ *   confirm: (context, confirmed: boolean) => Promise<> // optional, called with the answer to `AdminRoom.confirmAction`
+ * }
+ * Arguments are separated by whitespace and passed to `execute` by name, parsed according to their type.
+ */
+class CommandRegistry {
+
+    /**
+     * Creates a new command registry with the built in commands registered
+     */
+    constructor() {
+        this._commands = []; // in the order they are shown in !help
+        this._byName = {}; // { name or alias: command }
+
+        for (var path of BUILTIN_COMMANDS)
+            this.register(require(path));
+    }
+
+    /**
+     * Adds a command to the registry
+     * @param {*} command the command to add
+     */
+    register(command) {
+        var names = [command.name].concat(command.aliases || []);
+        for (var name of names) {
+            if (this._byName[name]) throw new Error("Command !" + name + " is already registered");
+            this._byName[name] = command;
+        }
+
+        this._commands.push(command);
+    }
+
+    /**
+     * Finds a command by name or alias
+     * @param {string} name the name of the command, with or without the leading !
+     * @return {*} the command, or null if there is no such command
+     */
+    find(name) {
+        return this._byName[name.replace(/^!/, "").toLowerCase()] || null;
+    }
+
+    /**
+     * Lists the commands a user may run
+     * @param {boolean} isAdmin true if the user is a bridge admin
+     * @return {*[]} the commands available to the user
+     */
+    list(isAdmin) {
+        return this._commands.filter(c => isAdmin || !c.adminOnly);
+    }
+
+    /**
+     * Formats how a command is used, such as "!bridge <handle> <room>"
+     * @param {*} command the command
+     * @return {string} the usage of the command
+     */
+    getUsage(command) {
+        var usage = "!" + command.name;
+        for (var arg of (command.args || []))
+            usage += " " + (arg.optional ? "[" + arg.name + "]" : "<" + arg.name + ">");
+        return usage;
+    }
+
+    /**
+     * Runs a command sent to an admin room, telling the sender about any problems with it
+     * @param {AdminRoom} room the admin room the command was sent in
+     * @param {string} sender the matrix user ID that sent the command
+     * @param {string} message the plain text message
+     * @return {Promise<>} resolves when the command has been run
+     */
+    execute(room, sender, message) {
+        var parts = message.trim().split(/\s+/);
+        var name = parts[0];
+        var isAdmin = room.getBridge().isBridgeAdmin(sender);
+
+        var command = name[0] === "!" ? this.find(name) : null;
+        if (!command) {
+            return room.sendNotice(name[0] === "!"
+                ? "Unknown command " + name + ". Say !help to see the commands you can use."
+                : "Say !help to see the commands you can use.");
+        }
+
+        if (command.adminOnly && !isAdmin)
+            return room.sendNotice("Only bridge administrators can use !" + command.name + ".");
+
+        var args = this._parseArgs(command, parts.slice(1));
+        if (args.error)
+            return room.sendNotice(args.error + "\nUsage: " + this.getUsage(command) + "\nSay !help " + command.name + " for more information.");
+
+        log.verbose("CommandRegistry", sender + " is running !" + command.name + " in " + room.getRoomId());
+        return Promise.resolve().then(() => command.execute({room: room, sender: sender, args: args.values, registry: this})).catch(err => {
+            log.error("CommandRegistry", "Error running !" + command.name + " for " + sender);
+            log.error("CommandRegistry", err);
+            return room.sendNotice("Sorry, something went wrong running !" + command.name + ". Please try again later.");
+        });
+    }
+
+    /**
+     * Passes the answer to a confirmation on to the command that asked for it
+     * @param {AdminRoom} room the admin room the confirmation was answered in
+     * @param {PendingConfirmation} confirmation the confirmation that was answered
+     * @param {boolean} confirmed true if the action was confirmed, false otherwise
+     * @return {Promise<>} resolves when the command has handled the answer
+     */
+    confirm(room, confirmation, confirmed) {
+        var command = this.find(confirmation.command);
+        if (!command || !command.confirm) {
+            log.warn("CommandRegistry", "Ignoring confirmation for unknown command !" + confirmation.command + " in " + room.getRoomId());
+            return room.sendNotice("Sorry, I no longer know how to do that. Please retry.");
+        }
+        if (command.adminOnly && !room.getBridge().isBridgeAdmin(confirmation.mxId))
+            return room.sendNotice("Only bridge administrators can use !" + command.name + ".");
+
+        var context = {room: room, sender: confirmation.mxId, args: confirmation.data, registry: this};
+        return Promise.resolve().then(() => command.confirm(context, confirmed)).catch(err => {
+            log.error("CommandRegistry", "Error confirming !" + command.name + " for " + confirmation.mxId);
+            log.error("CommandRegistry", err);
+            return room.sendNotice("Sorry, something went wrong running !" + command.name + ". Please try again later.");
+        });
+    }
+
+    /**
+     * Parses the arguments given to a command
+     * @param {*} command the command being run
+     * @param {string[]} values the arguments the user gave
+     * @return {{values: *, error: string}} the arguments by name, or an error message if they are invalid
+     * @private
+     */
+    _parseArgs(command, values) {
+        var specs = command.args || [];
+        if (values.length > specs.length && specs.length == 0)
+            return {error: "!" + command.name + " doesn't take any arguments."};
+        if (values.length > specs.length)
+            return {error: "!" + command.name + " takes at most " + specs.length + " argument" + (specs.length == 1 ? "" : "s") + "."};
+
+        var parsed = {};
+        for (var i = 0; i < specs.length; i++) {
+            var spec = specs[i];
+            if (i >= values.length) {
+                if (!spec.optional) return {error: "Missing " + spec.name + "."};
+                parsed[spec.name] = null;
+                continue;
+            }
+
+            var type = ARG_TYPES[spec.type || "string"];
+            var value = type.parse(values[i]);
+            if (value === null) return {error: "'" + values[i] + "' " + type.error + "."};
+            parsed[spec.name] = value;
+        }
+
+        return {values: parsed};
+    }
+}
+
+module.exports = new CommandRegistry();
@@ -0,0 +1,31 @@
+var OAuthService = require("./../../instagram/OAuthService");
+var InstagramStore = require("./../../storage/InstagramStore");
+
+/**
+ * Revokes the bridge's authorization for one or all of the sender's Instagram accounts
+ */
+module.exports = {
+    name: "deauth",
+    aliases: ["logout"],
+    args: [{name: "username", type: "handle", optional: true, description: "The Instagram account to deauthorize. Defaults to all of your accounts."}],
+    summary: "Revokes the authentication tokens for one or all of your Instagram accounts",
+    help: "Stops the bridge from using your Instagram account(s). Media that has already been posted to Matrix is left alone: use !delist to remove it.",
+    execute: (context) => {
+        var username = context.args.username;
+        if (!username) {
+            return OAuthService.deauthorizeMatrixUser(context.sender).then(() => {
+                return context.room.sendNotice("All of your authentication tokens for Instagram have been revoked. To reauthenticate, please send me the command !auth");
+            });
+        }
+
+        return InstagramStore.getAuthorizedAccounts(context.sender).then(accounts => {
+            var account = accounts.find(a => a.username === username);
+            if (!account)
+                return context.room.sendNotice("You have not authorized the Instagram account '" + username + "'. Use !accounts to see the accounts you have authorized.");
+
+            return OAuthService.deauthorizeAccount(context.sender, account.id).then(() => {
+                return context.room.sendNotice("Your authentication tokens for '" + username + "' have been revoked. Your other accounts are unaffected. To reauthenticate, please send me the command !auth");
+            });
+        });
+    }
+};
@@ -0,0 +1,40 @@
+var InstagramStore = require("./../../storage/InstagramStore");
+var log = require("./../../util/LogService");
+
+/**
+ * Lets bridge operators delist any Instagram account, such as when the owner asks by other means
+ */
+module.exports = {
+    name: "delist-admin",
+    args: [{name: "handle", type: "handle", description: "The Instagram username to delist"}],
+    summary: "Removes existing media and prevents the bridge from posting new media for any account",
+    help: "Redacts everything the bridge has posted to Matrix for the Instagram account and stops the bridge from posting new media for it. " +
+    "Any authorization the account has given the bridge is kept. You'll be asked to confirm first.",
+    adminOnly: true,
+    execute: (context) => {
+        var handle = context.args.handle;
+        var room = context.room;
+
+        return InstagramStore.getUserByUsername(handle).then(user => {
+            if (!user) return room.sendNotice("I don't know about the Instagram account '" + handle + "'.");
+
+            var question = "All of the media posted by this bridge to matrix for the Instagram account '" + user.username + "' is about to be removed " +
+                "and no new media will be posted for it. If you'd like to continue with this, please send the message '!yes', otherwise say '!no'. This action cannot be undone.";
+            return room.confirmAction(question, context.sender, "delist-admin", {userId: user.id});
+        });
+    },
+    confirm: (context, confirmed) => {
+        var room = context.room;
+        if (!confirmed) return room.sendNotice("!no received - not deleting media");
+
+        return InstagramStore.getUserById(context.args.userId).then(user => {
+            if (!user) return room.sendNotice("That Instagram account no longer exists - not deleting media");
+
+            log.info("DelistAdminCommand", context.sender + " is delisting " + user.username);
+            room.sendNotice("Delisting " + user.username + " now. I'll update you when I've finished trying to remove the media from matrix.");
+            return room.getBridge().delistAccounts([user]).then(result => {
+                return room.sendNotice(user.username + " has been delisted. " + result.redacted + " events have been redacted and " + result.failed + " could not be redacted.");
+            });
+        });
+    }
+};
@@ -0,0 +1,86 @@
+var OAuthService = require("./../../instagram/OAuthService");
+var InstagramStore = require("./../../storage/InstagramStore");
+var log = require("./../../util/LogService");
+var _ = require("lodash");
+
+/**
+ * Removes the media the bridge has posted for one or all of the sender's Instagram accounts, and stops the
+ * bridge from posting more. The sender must confirm first.
+ */
+module.exports = {
+    name: "delist",
+    args: [{name: "username", type: "handle", optional: true, description: "The Instagram account to delist. Defaults to all of your accounts."}],
+    summary: "Removes existing media and prevents the bridge from posting new media for one or all of your accounts",
+    help: "Redacts everything the bridge has posted to Matrix for your Instagram account(s), revokes the bridge's authorization, " +
+    "and stops the bridge from posting new media for the account(s). You'll be asked to confirm first. This cannot be undone.",
+    execute: (context) => {
+        var username = context.args.username;
+        var room = context.room;
+
+        return InstagramStore.getAuthorizedAccounts(context.sender).then(accounts => {
+            accounts = _.uniqBy(accounts, a => a.id);
+            if (username) {
+                accounts = accounts.filter(a => a.username === username);
+                if (accounts.length == 0)
+                    return room.sendNotice("You have not authorized the Instagram account '" + username + "'. Use !accounts to see the accounts you have authorized.");
+            }
+
+            if (accounts.length == 0)
+                return room.sendNotice("You do not appear to have authorized any Instagram accounts. In order to remove your content, I need to prove that you have an Instagram account. Please use !auth to start the authentication process.");
+
+            var question = "";
+            if (accounts.length > 1) {
+                question = "All of the media posted by this bridge to matrix for the following Instagram accounts is about to be removed and your authorization tokens will be revoked.\n\n";
+                for (var account of accounts)
+                    question += "- " + account.username + "\n";
+                question += "\nIf you'd like to continue with this, please send the message '!yes', otherwise say '!no'. This action cannot be undone.";
+            } else {
+                question = "All of the media posted by this bridge to matrix for the Instagram account '" + accounts[0].username + "' is about to be removed and your authorization tokens will be revoked. If you'd like to continue with this, please send the message '!yes', otherwise say '!no'. This action cannot be undone.";
+            }
+
+            return room.confirmAction(question, context.sender, "delist", {username: username, accountIds: accounts.map(a => a.id)});
+        });
+    },
+    confirm: (context, confirmed) => {
+        var room = context.room;
+        if (!confirmed) return room.sendNotice("!no received - not deleting media");
+
+        // Only delist accounts the sender still has authorized, in case that changed while we were waiting
+        return InstagramStore.getAuthorizedAccounts(context.sender).then(accounts => {
+            accounts = _.uniqBy(accounts, a => a.id).filter(a => context.args.accountIds.indexOf(a.id) !== -1);
+            if (accounts.length == 0) return room.sendNotice("You no longer have any of those accounts authorized - not deleting media");
+
+            log.info("DelistCommand", "Starting delist for " + context.sender);
+            room.sendNotice("Delisting your account now. This may take a while, but I'll update you when I've finished trying to remove your media from matrix.");
+
+            // Resolves to the usernames of the accounts that are still authorized
+            var deauthorized = null;
+            if (!context.args.username) {
+                deauthorized = OAuthService.deauthorizeMatrixUser(context.sender).then(() => [], err => {
+                    log.error("DelistCommand", "Failed to revoke authorization for " + context.sender);
+                    log.error("DelistCommand", err);
+                    return accounts.map(a => a.username);
+                });
+            } else {
+                deauthorized = Promise.all(accounts.map(a => OAuthService.deauthorizeAccount(context.sender, a.id).then(() => null, err => {
+                    log.error("DelistCommand", "Failed to revoke authorization for " + a.username + " from " + context.sender);
+                    log.error("DelistCommand", err);
+                    return a.username;
+                }))).then(usernames => usernames.filter(u => u));
+            }
+
+            return deauthorized.then(stillAuthorized => {
+                return room.getBridge().delistAccounts(accounts).then(result => {
+                    var message = result.redacted + " events have been redacted. ";
+                    if (result.failed > 0)
+                        message += result.failed + " were not able to be redacted. ";
+                    else message += "No events appear to have been missed. ";
+                    if (stillAuthorized.length > 0)
+                        message += "I couldn't revoke your authorization for " + stillAuthorized.join(", ") + ", so please use !deauth to try again. ";
+                    message += "To re-activate the bridge, please start a new !auth attempt";
+                    return room.sendNotice(message);
+                });
+            });
+        });
+    }
+};
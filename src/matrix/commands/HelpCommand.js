@@ -0,0 +1,36 @@
+/**
+ * Lists the commands the sender can use, or explains a single command in detail
+ */
+module.exports = {
+    name: "help",
+    aliases: ["commands"],
+    args: [{name: "command", type: "string", optional: true, description: "The command to explain, such as !bridge"}],
+    summary: "Shows the commands you can use, or detailed help for one command",
+    execute: (context) => {
+        var registry = context.registry;
+        var isAdmin = context.room.getBridge().isBridgeAdmin(context.sender);
+
+        if (!context.args.command) {
+            var body = "Available commands:\n";
+            for (var listed of registry.list(isAdmin))
+                body += registry.getUsage(listed) + " - " + listed.summary + "\n";
+            body += "\nSay !help <command> for more information about a command.";
+            return context.room.sendNotice(body);
+        }
+
+        var command = registry.find(context.args.command);
+        if (!command || (command.adminOnly && !isAdmin))
+            return context.room.sendNotice("Unknown command " + context.args.command + ". Say !help to see the commands you can use.");
+
+        var help = "Usage: " + registry.getUsage(command) + "\n\n" + (command.help || command.summary) + "\n";
+        if (command.args && command.args.length > 0) {
+            help += "\nArguments:\n";
+            for (var arg of command.args)
+                help += "  " + arg.name + (arg.optional ? " (optional)" : "") + " - " + arg.description + "\n";
+        }
+        if (command.aliases && command.aliases.length > 0)
+            help += "\nAlso available as: " + command.aliases.map(a => "!" + a).join(", ");
+
+        return context.room.sendNotice(help);
+    }
+};
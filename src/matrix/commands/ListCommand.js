@@ -0,0 +1,20 @@
+/**
+ * Lists the Instagram accounts the sender has bridged to rooms
+ */
+module.exports = {
+    name: "list",
+    summary: "Lists the Instagram accounts you have bridged to rooms",
+    help: "Lists the Instagram accounts you have added to rooms with !bridge or by inviting them, and the rooms they are in.",
+    execute: (context) => {
+        return context.room.getBridge().getLinkedRoomsFor(context.sender).then(links => {
+            var body = "You have not bridged any Instagram accounts to rooms. Use !bridge <handle> <room> to start.";
+            if (links.length > 0) {
+                body = "You have bridged the following Instagram accounts:\n\n";
+                for (var link of links)
+                    body += "- " + link.handle + " in " + link.roomId + "\n";
+            }
+
+            return context.room.sendNotice(body);
+        });
+    }
+};
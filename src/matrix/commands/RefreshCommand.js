@@ -0,0 +1,21 @@
+var ProfileService = require("./../../instagram/ProfileService");
+var Priority = require("./../../instagram/RequestScheduler").Priority;
+
+/**
+ * Makes the bridge update an Instagram account's profile right away, even if it hasn't changed
+ */
+module.exports = {
+    name: "refresh",
+    args: [{name: "handle", type: "handle", description: "The Instagram username to refresh"}],
+    summary: "Updates an Instagram account's profile from Instagram",
+    help: "Looks up the Instagram account's profile right away and applies the display name and avatar to its virtual user, " +
+    "even if they don't appear to have changed.",
+    adminOnly: true,
+    execute: (context) => {
+        var handle = context.args.handle;
+        return ProfileService._updateProfile(handle, /*forceUpdate=*/true, Priority.INTERACTIVE).then(() => ProfileService.getProfile(handle), () => null).then(profile => {
+            if (!profile || !profile.accountId) return context.room.sendNotice("I couldn't find the Instagram account '" + handle + "'.");
+            return context.room.sendNotice("Refreshed " + handle + ": display name is now '" + profile.displayName + "'.");
+        });
+    }
+};
@@ -0,0 +1,19 @@
+var MediaHandler = require("./../../instagram/MediaHandler");
+
+/**
+ * Makes sure the Instagram subscription for media from authorized accounts exists
+ */
+module.exports = {
+    name: "resubscribe",
+    summary: "Recreates the Instagram media subscription if it is missing",
+    help: "Checks that Instagram is sending the bridge new media from authorized accounts, and subscribes again if it isn't. " +
+    "Use this if media from authorized accounts has stopped arriving.",
+    adminOnly: true,
+    execute: (context) => {
+        return MediaHandler.resubscribe().then(created => {
+            return context.room.sendNotice(created ? "The media subscription was missing and has been recreated." : "The media subscription exists. Nothing to do.");
+        }, err => {
+            return context.room.sendNotice("Could not check the media subscription: " + (err && err.message ? err.message : err));
+        });
+    }
+};
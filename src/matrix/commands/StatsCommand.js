@@ -0,0 +1,30 @@
+var InstagramStore = require("./../../storage/InstagramStore");
+var InstagramApiHandler = require("./../../instagram/InstagramApiHandler");
+var RequestScheduler = require("./../../instagram/RequestScheduler");
+
+/**
+ * Shows bridge operators how busy the bridge is and what it knows about
+ */
+module.exports = {
+    name: "stats",
+    summary: "Shows the request queue, rate limit and database statistics",
+    help: "Shows how many requests to Instagram are queued and running, how much of the rate limit is left across all " +
+    "authorized accounts, and how many accounts, tokens and media the bridge knows about.",
+    adminOnly: true,
+    execute: (context) => {
+        var metrics = RequestScheduler.getMetrics();
+        return Promise.all([InstagramApiHandler.getBudget(), InstagramStore.getStats()]).then(results => {
+            var budget = results[0];
+            var stats = results[1];
+
+            return context.room.sendNotice("Bridge statistics:\n\n" +
+                "Requests: " + metrics.active + "/" + metrics.concurrency + " running, " + metrics.startedLastHour + " started in the last hour" +
+                (metrics.requestsPerHour ? " (limit " + metrics.requestsPerHour + ")" : "") + "\n" +
+                "Queued: " + metrics.queued.interactive + " interactive, " + metrics.queued.push + " push, " + metrics.queued.background + " background\n" +
+                "Rate limit: " + budget.remaining + "/" + budget.limit + " remaining across " + budget.tokens + " usable tokens\n" +
+                "Accounts: " + stats.users + " known, " + stats.delistedUsers + " delisted\n" +
+                "Tokens: " + stats.validTokens + " valid, " + stats.invalidTokens + " revoked by Instagram\n" +
+                "Media: " + stats.mediaEvents + " events posted, " + stats.cachedMedia + " files uploaded");
+        });
+    }
+};
@@ -0,0 +1,29 @@
+var log = require("./../../util/LogService");
+
+/**
+ * Removes an Instagram account from a room the sender moderates
+ */
+module.exports = {
+    name: "unbridge",
+    aliases: ["unfollow"],
+    args: [
+        {name: "handle", type: "handle", description: "The Instagram username to stop following"},
+        {name: "room", type: "room", description: "The room ID or alias of the room the account is bridged to"}
+    ],
+    summary: "Stops posting the Instagram account's media in a room you moderate",
+    help: "Removes the Instagram account from a room so its media is no longer posted there. Media that has already been posted stays. " +
+    "You need a power level of at least 50 in the room.",
+    execute: (context) => {
+        var room = context.room;
+        var handle = context.args.handle;
+        var target = context.args.room;
+
+        return room.getBridge().unlinkRoom(target, handle, context.sender).then(() => {
+            return room.sendNotice(handle + " is no longer bridged to " + target);
+        }, err => {
+            log.error("UnbridgeCommand", "Failed to unbridge " + handle + " in " + target + " for " + context.sender);
+            log.error("UnbridgeCommand", err);
+            return room.sendNotice("Sorry, I couldn't do that: " + (err && err.message ? err.message : "an unknown error occurred"));
+        });
+    }
+};
@@ -0,0 +1,50 @@
+var InstagramStore = require("./../../storage/InstagramStore");
+var moment = require("moment");
+
+/**
+ * Formats a timestamp from the store for display
+ * @param {number} time the millisecond timestamp
+ * @returns {string} the formatted time
+ */
+function formatTime(time) {
+    return time ? moment(time).format("YYYY-MM-DD HH:mm Z") : "never";
+}
+
+/**
+ * Shows bridge operators everything the bridge has stored about an Instagram account
+ */
+module.exports = {
+    name: "user",
+    aliases: ["whois"],
+    args: [{name: "handle", type: "handle", description: "The Instagram username to look up"}],
+    summary: "Shows what the bridge knows about an Instagram account",
+    help: "Shows the stored profile for an Instagram account, the Matrix users that have authorized it and the state of their tokens, " +
+    "whether it is delisted, and how much media has been posted for it.",
+    adminOnly: true,
+    execute: (context) => {
+        var handle = context.args.handle;
+        return InstagramStore.getUserByUsername(handle).then(user => {
+            if (!user) return context.room.sendNotice("I don't know about the Instagram account '" + handle + "'.");
+
+            return Promise.all([InstagramStore.getAuthTokensForUser(user.id), InstagramStore.countMediaEvents(user.id)]).then(results => {
+                var tokens = results[0];
+                var mediaCount = results[1];
+
+                var body = "Instagram account " + user.username + ":\n\n" +
+                    "User ID: " + user.id + "\n" +
+                    "Account ID: " + user.accountId + "\n" +
+                    "Display name: " + user.displayName + "\n" +
+                    "Avatar: " + user.avatarUrl + "\n" +
+                    "Profile expires: " + formatTime(user.profileExpires) + "\n" +
+                    "Media expires: " + formatTime(user.mediaExpires) + "\n" +
+                    "Delisted: " + (user.isDelisted ? "yes" : "no") + "\n" +
+                    "Media events: " + mediaCount + "\n" +
+                    "Tokens: " + (tokens.length == 0 ? "none" : "") + "\n";
+                for (var token of tokens)
+                    body += "- #" + token.id + " for " + token.mxId + ", linked " + formatTime(token.createdAt) + (token.isInvalid ? ", revoked by Instagram" : "") + "\n";
+
+                return context.room.sendNotice(body);
+            });
+        });
+    }
+};
@@ -4,6 +4,8 @@ var Sequelize = require('sequelize');
 var dbConfig = require("../../config/database.json");
 var _ = require("lodash");
 
+const VALID_TOKEN_CONDITION = [{isInvalid: false}, {isInvalid: null}]; // tokens that haven't been revoked
+
 /**
  * Primary storage for the Instagram Bridge
  */
@@ -14,6 +16,7 @@ class InstagramStore {
      */
     constructor() {
         this._orm = null;
+        this._botAccountDataQueue = Promise.resolve(); // account data changes waiting to be saved
     }
 
     /**
@@ -68,6 +71,11 @@ class InstagramStore {
         this.__PendingAuths = this._orm.import(__dirname + "/models/pending_auths");
         this.__UserMedia = this._orm.import(__dirname + "/models/user_media");
         this.__BotAccountData = this._orm.import(__dirname + "/models/bot_account_data");
+        this.__MediaComments = this._orm.import(__dirname + "/models/media_comments");
+        this.__MediaLikes = this._orm.import(__dirname + "/models/media_likes");
+        this.__MediaCache = this._orm.import(__dirname + "/models/media_cache");
+        this.__AdminRooms = this._orm.import(__dirname + "/models/admin_rooms");
+        this.__AdminRoomConfirmations = this._orm.import(__dirname + "/models/admin_room_confirmations");
 
         // Relationships
 
@@ -107,20 +115,23 @@ class InstagramStore {
     }
 
     /**
-     * Gets an Instagram user, creating the user if they don't exist
+     * Gets an Instagram user, creating the user if they don't exist. Users are matched by account ID, so an
+     * account that has changed its username keeps its known username until `renameUser` is called.
      * @param {string} username the Instagram username
      * @param {string} accountId the Instagram account ID
      * @returns {Promise<User>} resolves to the found or created user
      */
     getOrCreateUser(username, accountId) {
-        return this.__Users.find({where: {accountId: accountId, username: username}}).then(user => {
+        return this.__Users.find({where: {accountId: accountId}}).then(user => {
+            if (user && user.username !== username)
+                log.warn("InstagramStore", "Account " + accountId + " is known as " + user.username + " but was seen as " + username);
             if (!user) return this.__Users.create({
                 accountId: accountId,
                 username: username,
                 displayName: username,
                 avatarUrl: 'http://i.imgur.com/DQKje5W.png', // instagram icon
                 profileExpires: Sequelize.literal("CURRENT_TIMESTAMP"),
-                mediaExpirationTime: Sequelize.literal("CURRENT_TIMESTAMP"),
+                mediaExpirationTime: null, // never checked, see MediaPoller
                 isDelisted: false
             });
             else return user;
@@ -136,6 +147,15 @@ class InstagramStore {
         return this.__Users.find({where: {username: username}}).then(user => user ? new User(user) : null);
     }
 
+    /**
+     * Gets an Instagram user from their bridge user ID
+     * @param {number} userId the user ID to lookup
+     * @return {Promise<User>} resolves to the found user, or null if not found
+     */
+    getUserById(userId) {
+        return this.__Users.findById(userId).then(user => user ? new User(user) : null);
+    }
+
     /**
      * Gets an Instagram user from their account ID
      * @param {string} accountId the account ID to lookup
@@ -156,10 +176,20 @@ class InstagramStore {
         return this.__UserOAuthTokens.create({
             userId: userId,
             mxId: mxId,
-            token: token
+            token: token,
+            createdAt: new Date()
         });
     }
 
+    /**
+     * Gets all the valid OAuth tokens for a given Matrix User ID
+     * @param {string} mxId the Matrix User ID to get tokens for
+     * @returns {Promise<AuthToken[]>} resolves to an array of the user's tokens
+     */
+    getAuthTokens(mxId) {
+        return this.__UserOAuthTokens.findAll({where: {mxId: mxId, $or: VALID_TOKEN_CONDITION}}).then(tokens => (tokens || []).map(t => new AuthToken(t)));
+    }
+
     /**
      * Deletes all OAuth tokens for a given Matrix User ID
      * @param {string} mxId the Matrix User ID to delete tokens for
@@ -169,6 +199,25 @@ class InstagramStore {
         return this.__UserOAuthTokens.destroy({where: {mxId: mxId}});
     }
 
+    /**
+     * Gets all the OAuth tokens for a given Matrix User ID, including those Instagram no longer accepts
+     * @param {string} mxId the Matrix User ID to get tokens for
+     * @returns {Promise<AuthToken[]>} resolves to an array of the user's tokens
+     */
+    getAllAuthTokens(mxId) {
+        return this.__UserOAuthTokens.findAll({where: {mxId: mxId}}).then(tokens => (tokens || []).map(t => new AuthToken(t)));
+    }
+
+    /**
+     * Deletes the OAuth tokens a Matrix User ID has for a single Instagram account
+     * @param {string} mxId the Matrix User ID to delete tokens for
+     * @param {number} userId the user ID of the Instagram account
+     * @returns {Promise<>} resolves when the tokens have been deleted
+     */
+    deleteAuthTokensForUser(mxId, userId) {
+        return this.__UserOAuthTokens.destroy({where: {mxId: mxId, userId: userId}});
+    }
+
     /**
      * Deletes all pending auth sessions for a given Matrix User ID
      * @param {string} mxId the Matrix User ID to delete tokens for
@@ -179,11 +228,48 @@ class InstagramStore {
     }
 
     /**
-     * Gets a random auth token from the database
-     * @returns {Promise<string>} resolves to an auth token, or null of none found
+     * Gets all of the valid auth tokens from the database
+     * @returns {Promise<AuthToken[]>} resolves to an array of all known valid auth tokens
+     */
+    listAuthTokens() {
+        return this.__UserOAuthTokens.findAll({where: {$or: VALID_TOKEN_CONDITION}}).then(tokens => (tokens || []).map(t => new AuthToken(t)));
+    }
+
+    /**
+     * Gets a stored OAuth token by the token itself, whether or not it is still valid
+     * @param {string} token the Instagram auth token to look up
+     * @returns {Promise<AuthToken>} resolves to the found token, or null if the token has not been stored
      */
-    getRandomAuthToken() {
-        return this.__UserOAuthTokens.findOne({order: [[Sequelize.fn('RANDOM')]]}).then(auth => auth.token);
+    getAuthTokenByToken(token) {
+        return this.__UserOAuthTokens.findOne({where: {token: token}}).then(t => t ? new AuthToken(t) : null);
+    }
+
+    /**
+     * Flags an OAuth token as invalid, such as when the user has revoked the bridge's access. Invalid tokens
+     * are not returned by `listAuthTokens` or `getAuthTokens`.
+     * @param {string} token the Instagram auth token to flag
+     * @returns {Promise<AuthToken[]>} resolves to the tokens that were flagged, excluding any already flagged
+     */
+    flagAuthTokenInvalid(token) {
+        return this.__UserOAuthTokens.findAll({where: {token: token, $or: VALID_TOKEN_CONDITION}}).then(tokens => {
+            return Promise.all((tokens || []).map(t => {
+                t.isInvalid = true;
+                return t.save();
+            })).then(() => (tokens || []).map(t => new AuthToken(t)));
+        });
+    }
+
+    /**
+     * Changes the username of a user, such as when the account has been renamed on Instagram
+     * @param {number} userId the user ID to update
+     * @param {string} username the new username
+     * @returns {Promise<>} resolves when complete
+     */
+    renameUser(userId, username) {
+        return this.__Users.findById(userId).then(user => {
+            user.username = username;
+            return user.save();
+        });
     }
 
     /**
@@ -212,13 +298,39 @@ class InstagramStore {
     }
 
     /**
-     * Determines if a given username has any stored authentication tokens
+     * Lists the users with the most expired profiles, oldest first. Delisted users are not included.
+     * @param {number} limit the maximum number of users to return
+     * @returns {Promise<User[]>} resolves to an array of users with expired profiles
+     */
+    listUsersWithExpiredProfiles(limit) {
+        return this.__Users.findAll({
+            where: {
+                profileExpires: {
+                    $or: [
+                        {$lt: new Date()},
+                        {$eq: null}
+                    ]
+                },
+                isDelisted: {
+                    $or: [
+                        {$eq: false},
+                        {$eq: null}
+                    ]
+                }
+            },
+            order: [['profileExpires', 'ASC']],
+            limit: limit
+        }).then(users => users.map(u => new User(u)));
+    }
+
+    /**
+     * Determines if a given username has any valid stored authentication tokens
      * @param {string} username the username to lookup
      * @returns {Promise<boolean>} resolves to true if there are any authentication tokens for the user, false otherwise
      */
     hasAuthTokens(username) {
         return this.getUserByUsername(username)
-            .then(user => user ? this.__UserOAuthTokens.findAll({where: {userId: user.id}}) : Promise.resolve([]))
+            .then(user => user ? this.__UserOAuthTokens.findAll({where: {userId: user.id, $or: VALID_TOKEN_CONDITION}}) : Promise.resolve([]))
             .then(tokens => tokens.length > 0);
     }
 
@@ -240,11 +352,11 @@ class InstagramStore {
     }
 
     /**
-     * Lists all the users with authentication tokens
-     * @returns {Promise<number[]>} resolves to an array of user IDs that have authentication tokens
+     * Lists all the users with valid authentication tokens
+     * @returns {Promise<number[]>} resolves to an array of user IDs that have valid authentication tokens
      */
     listTokenUserIds() {
-        return this.__UserOAuthTokens.findAll().then(tokens => {
+        return this.__UserOAuthTokens.findAll({where: {$or: VALID_TOKEN_CONDITION}}).then(tokens => {
             var results = [];
             for (var token of tokens) {
                 if (results.indexOf(token.userId) === -1) {
@@ -268,30 +380,218 @@ class InstagramStore {
         });
     }
 
+    /**
+     * Updates the profile expiration time for a user without changing their profile information
+     * @param {number} userId the user ID to update
+     * @param {number} expirationTime the new expiration time for the user's profile
+     * @returns {Promise<>} resolves when complete
+     */
+    updateProfileExpirationTime(userId, expirationTime) {
+        return this.__Users.findById(userId).then(user => {
+            user.profileExpires = new Date(expirationTime);
+            return user.save();
+        });
+    }
+
     /**
      * Stores a reference to a media event
-     * @param {string} userId the user sending the media
+     * @param {string} userId the user sending the media, or null if the media has no bridge user (such as feed media)
      * @param {string} mediaId the media's ID
      * @param {string} mxEventId the matrix event ID
      * @param {string} roomId the room the event occurred in
+     * @param {string} [authorAccountId] the Instagram account ID of the media's author
      * @returns {Promise<>} resolves when completed
      */
-    storeMedia(userId, mediaId, mxEventId, roomId) {
+    storeMedia(userId, mediaId, mxEventId, roomId, authorAccountId = null) {
         return this.__UserMedia.create({
             userId: userId,
+            authorAccountId: authorAccountId,
             mxEventId: mxEventId,
             mxRoomId: roomId,
-            mediaId: mediaId
+            mediaId: mediaId,
+            bridgedAt: new Date()
         });
     }
 
     /**
      * Checks if a specific media ID has already been handled
      * @param {string} mediaId the media ID to check
+     * @param {string} [roomId] optional room ID to limit the check to
      * @return {Promise<boolean>} resolves to whether or not the media has been handled
      */
-    isMediaHandled(mediaId) {
-        return this.__UserMedia.findAll({where: {mediaId: mediaId}}).then(media => media && media.length > 0);
+    isMediaHandled(mediaId, roomId = null) {
+        var where = {mediaId: mediaId};
+        if (roomId) where.mxRoomId = roomId;
+        return this.__UserMedia.findAll({where: where}).then(media => media && media.length > 0);
+    }
+
+    /**
+     * Lists the media IDs that have been bridged recently and have not been redacted
+     * @param {number} since the timestamp to list bridged media from
+     * @returns {Promise<string[]>} resolves to an array of media IDs
+     */
+    listRecentMediaIds(since) {
+        return this.__UserMedia.findAll({
+            where: {
+                bridgedAt: {$gte: new Date(since)},
+                redactedAt: {$eq: null}
+            }
+        }).then(events => _.uniq((events || []).map(e => e.mediaId)));
+    }
+
+    /**
+     * Gets the media event for a given matrix event
+     * @param {string} mxEventId the matrix event ID to lookup
+     * @returns {Promise<MediaEvent>} resolves to the found media event, or null if not found
+     */
+    getMediaEventByEventId(mxEventId) {
+        return this.__UserMedia.findOne({where: {mxEventId: mxEventId}}).then(e => e ? new MediaEvent(e) : null);
+    }
+
+    /**
+     * Gets all the events that have not been redacted for a given media ID
+     * @param {string} mediaId the media ID to lookup
+     * @returns {Promise<MediaEvent[]>} resolves to an array of MediaEvents for that media, if any
+     */
+    getMediaEventsByMediaId(mediaId) {
+        return this.__UserMedia.findAll({
+            where: {
+                mediaId: mediaId,
+                redactedAt: {$eq: null}
+            }
+        }).then(events => (events || []).map(e => new MediaEvent(e)));
+    }
+
+    /**
+     * Flags a media event as redacted
+     * @param {number} id the media event ID to flag
+     * @returns {Promise<>} resolves when complete
+     */
+    flagMediaEventRedacted(id) {
+        return this.__UserMedia.findById(id).then(event => {
+            event.redactedAt = new Date();
+            return event.save();
+        });
+    }
+
+    /**
+     * Stores a reference to a comment event
+     * @param {string} mediaId the media ID the comment is on
+     * @param {string} commentId the comment's ID
+     * @param {string} mxEventId the matrix event ID
+     * @param {string} roomId the room the event occurred in
+     * @param {string} [mxSenderId] the matrix user that wrote the comment, if it originated from matrix
+     * @returns {Promise<>} resolves when completed
+     */
+    storeComment(mediaId, commentId, mxEventId, roomId, mxSenderId = null) {
+        return this.__MediaComments.create({
+            mediaId: mediaId,
+            commentId: commentId,
+            mxEventId: mxEventId,
+            mxRoomId: roomId,
+            mxSenderId: mxSenderId
+        });
+    }
+
+    /**
+     * Gets the comment for a given matrix event
+     * @param {string} mxEventId the matrix event ID to lookup
+     * @returns {Promise<MediaComment>} resolves to the found comment, or null if not found
+     */
+    getCommentByEventId(mxEventId) {
+        return this.__MediaComments.findOne({where: {mxEventId: mxEventId}}).then(c => c ? new MediaComment(c) : null);
+    }
+
+    /**
+     * Deletes a stored comment
+     * @param {number} id the comment ID to delete
+     * @returns {Promise<>} resolves when the comment has been deleted
+     */
+    deleteComment(id) {
+        return this.__MediaComments.destroy({where: {id: id}});
+    }
+
+    /**
+     * Checks if a specific comment ID has already been handled in a room
+     * @param {string} commentId the comment ID to check
+     * @param {string} roomId the room ID to check
+     * @return {Promise<boolean>} resolves to whether or not the comment has been handled
+     */
+    isCommentHandled(commentId, roomId) {
+        return this.__MediaComments.findAll({where: {commentId: commentId, mxRoomId: roomId}}).then(comments => comments && comments.length > 0);
+    }
+
+    /**
+     * Stores a reference to a matrix reaction that liked some media
+     * @param {string} mediaId the media ID that was liked
+     * @param {string} mxEventId the matrix reaction event ID
+     * @param {string} roomId the room the event occurred in
+     * @param {string} mxSenderId the matrix user that sent the reaction
+     * @returns {Promise<>} resolves when completed
+     */
+    storeLike(mediaId, mxEventId, roomId, mxSenderId) {
+        return this.__MediaLikes.create({
+            mediaId: mediaId,
+            mxEventId: mxEventId,
+            mxRoomId: roomId,
+            mxSenderId: mxSenderId
+        });
+    }
+
+    /**
+     * Gets the like for a given matrix reaction event
+     * @param {string} mxEventId the matrix event ID to lookup
+     * @returns {Promise<MediaLike>} resolves to the found like, or null if not found
+     */
+    getLikeByEventId(mxEventId) {
+        return this.__MediaLikes.findOne({where: {mxEventId: mxEventId}}).then(l => l ? new MediaLike(l) : null);
+    }
+
+    /**
+     * Deletes a stored like
+     * @param {number} id the like ID to delete
+     * @returns {Promise<>} resolves when the like has been deleted
+     */
+    deleteLike(id) {
+        return this.__MediaLikes.destroy({where: {id: id}});
+    }
+
+    /**
+     * Gets the MXC URI that content from a given URL was uploaded to
+     * @param {string} sourceUrl the URL the content was downloaded from
+     * @returns {Promise<CachedMedia>} resolves to the cached media, or null if not found
+     */
+    getCachedMediaByUrl(sourceUrl) {
+        return this.__MediaCache.findOne({where: {sourceUrl: sourceUrl}}).then(m => m ? new CachedMedia(m) : null);
+    }
+
+    /**
+     * Gets the first MXC URI that content with a given hash was uploaded to
+     * @param {string} contentHash the hash of the content
+     * @returns {Promise<CachedMedia>} resolves to the cached media, or null if not found
+     */
+    getCachedMediaByHash(contentHash) {
+        return this.__MediaCache.findOne({where: {contentHash: contentHash}, order: [['id', 'ASC']]}).then(m => m ? new CachedMedia(m) : null);
+    }
+
+    /**
+     * Stores the MXC URI that content from a given URL was uploaded to
+     * @param {string} sourceUrl the URL the content was downloaded from
+     * @param {string} contentHash the hash of the content
+     * @param {string} mxcUrl the MXC URI of the uploaded content
+     * @param {number} size the size of the content in bytes
+     * @param {string} mimetype the mimetype of the content
+     * @returns {Promise<CachedMedia>} resolves to the cached media
+     */
+    storeCachedMedia(sourceUrl, contentHash, mxcUrl, size, mimetype) {
+        return this.__MediaCache.create({
+            sourceUrl: sourceUrl,
+            contentHash: contentHash,
+            mxcUrl: mxcUrl,
+            size: size,
+            mimetype: mimetype,
+            createdAt: new Date()
+        }).then(m => new CachedMedia(m));
     }
 
     /**
@@ -309,11 +609,28 @@ class InstagramStore {
     }
 
     /**
-     * Saves the bridge bot's account data. Takes the value verbatim, expecting a string.
+     * Changes the bridge bot's account data. Changes are saved one at a time, each starting from the data saved
+     * by the one before it, so that callers don't overwrite each other's keys.
+     * @param {function(*)} changeFn called with the current account data to change it in place
+     * @returns {Promise<*>} resolves to the saved account data
+     */
+    updateBotAccountData(changeFn) {
+        var update = this._botAccountDataQueue.then(() => this.getBotAccountData()).then(data => {
+            changeFn(data);
+            return this._setBotAccountData(data).then(() => data);
+        });
+        this._botAccountDataQueue = update.catch(() => null); // the caller handles the error
+        return update;
+    }
+
+    /**
+     * Saves the bridge bot's account data, replacing everything that was saved before. Takes the value
+     * verbatim, expecting a string. Use `updateBotAccountData` instead.
      * @param {*} data the data to save
      * @returns {Promise<>} resolves when complete
+     * @private
      */
-    setBotAccountData(data) {
+    _setBotAccountData(data) {
         return this.__BotAccountData.destroy({where: {}, truncate: true}).then(() => {
             var promises = [];
 
@@ -326,6 +643,79 @@ class InstagramStore {
         });
     }
 
+    /**
+     * Gets all of the known admin rooms
+     * @returns {Promise<AdminRoomInfo[]>} resolves to an array of admin rooms
+     */
+    listAdminRooms() {
+        return this.__AdminRooms.findAll().then(rooms => (rooms || []).map(r => new AdminRoomInfo(r)));
+    }
+
+    /**
+     * Records a room as an admin room for a matrix user, replacing any existing record for the room
+     * @param {string} roomId the matrix room ID
+     * @param {string} ownerMxId the matrix user ID the admin room is for
+     * @returns {Promise<AdminRoomInfo>} resolves to the admin room
+     */
+    createAdminRoom(roomId, ownerMxId) {
+        return this.__AdminRooms.destroy({where: {roomId: roomId}}).then(() => {
+            return this.__AdminRooms.create({
+                roomId: roomId,
+                ownerMxId: ownerMxId,
+                createdAt: new Date()
+            });
+        }).then(r => new AdminRoomInfo(r));
+    }
+
+    /**
+     * Forgets an admin room, including any confirmation it is waiting on
+     * @param {string} roomId the matrix room ID
+     * @returns {Promise<>} resolves when complete
+     */
+    deleteAdminRoom(roomId) {
+        return this.__AdminRooms.destroy({where: {roomId: roomId}})
+            .then(() => this.deletePendingConfirmation(roomId));
+    }
+
+    /**
+     * Saves the confirmation an admin room is waiting on, replacing any existing one
+     * @param {string} roomId the matrix room ID of the admin room
+     * @param {string} mxId the matrix user ID that has to confirm
+     * @param {string} command the name of the command being confirmed
+     * @param {*} data information the command needs once confirmed. Must be serializable to JSON.
+     * @param {number} expiresAt when the confirmation expires, as a millisecond timestamp
+     * @returns {Promise<PendingConfirmation>} resolves to the saved confirmation
+     */
+    setPendingConfirmation(roomId, mxId, command, data, expiresAt) {
+        return this.deletePendingConfirmation(roomId).then(() => {
+            return this.__AdminRoomConfirmations.create({
+                roomId: roomId,
+                mxId: mxId,
+                command: command,
+                data: JSON.stringify(data || {}),
+                expiresAt: new Date(expiresAt)
+            });
+        }).then(c => new PendingConfirmation(c));
+    }
+
+    /**
+     * Gets the confirmation an admin room is waiting on, even if it has expired
+     * @param {string} roomId the matrix room ID of the admin room
+     * @returns {Promise<PendingConfirmation>} resolves to the confirmation, or null if there is none
+     */
+    getPendingConfirmation(roomId) {
+        return this.__AdminRoomConfirmations.findOne({where: {roomId: roomId}}).then(c => c ? new PendingConfirmation(c) : null);
+    }
+
+    /**
+     * Deletes the confirmation an admin room is waiting on, if any
+     * @param {string} roomId the matrix room ID of the admin room
+     * @returns {Promise<>} resolves when complete
+     */
+    deletePendingConfirmation(roomId) {
+        return this.__AdminRoomConfirmations.destroy({where: {roomId: roomId}});
+    }
+
     /**
      * Gets all of the Instargram accounts the given matrix user has authorized
      * @param {string} mxId the matrix user ID to check for
@@ -357,6 +747,48 @@ class InstagramStore {
         });
     }
 
+    /**
+     * Gets all the OAuth tokens for an Instagram account, including those Instagram no longer accepts
+     * @param {number} userId the bridge user ID to lookup
+     * @returns {Promise<AuthToken[]>} resolves to an array of the account's tokens
+     */
+    getAuthTokensForUser(userId) {
+        return this.__UserOAuthTokens.findAll({where: {userId: userId}}).then(tokens => (tokens || []).map(t => new AuthToken(t)));
+    }
+
+    /**
+     * Counts the media events posted for a bridge user
+     * @param {number} userId the bridge user ID to lookup
+     * @returns {Promise<number>} resolves to the number of media events posted for the user
+     */
+    countMediaEvents(userId) {
+        return this.__UserMedia.count({where: {userId: userId}});
+    }
+
+    /**
+     * Gets counts of what the bridge knows about, for bridge operators
+     * @returns {Promise<{users: number, delistedUsers: number, validTokens: number, invalidTokens: number, mediaEvents: number, cachedMedia: number}>} resolves to the counts
+     */
+    getStats() {
+        return Promise.all([
+            this.__Users.count(),
+            this.__Users.count({where: {isDelisted: true}}),
+            this.__UserOAuthTokens.count({where: {$or: VALID_TOKEN_CONDITION}}),
+            this.__UserOAuthTokens.count({where: {isInvalid: true}}),
+            this.__UserMedia.count(),
+            this.__MediaCache.count()
+        ]).then(counts => {
+            return {
+                users: counts[0],
+                delistedUsers: counts[1],
+                validTokens: counts[2],
+                invalidTokens: counts[3],
+                mediaEvents: counts[4],
+                cachedMedia: counts[5]
+            };
+        });
+    }
+
     /**
      * Gets all the media posted by the bridge user
      * @param {number} userId the bridge user ID to lookup
@@ -365,6 +797,16 @@ class InstagramStore {
     getMediaEvents(userId) {
         return this.__UserMedia.findAll({where: {userId: userId}}).then(events => (events || []).map(e => new MediaEvent(e)));
     }
+
+    /**
+     * Gets all the media posted for an Instagram account, whether it was sent by the account's bridge user or by
+     * the bridge bot (such as in hashtag and location rooms)
+     * @param {string} accountId the Instagram account ID of the author
+     * @returns {Promise<MediaEvent[]>} resolves to an array of MediaEvents authored by the account, if any
+     */
+    getMediaEventsByAuthor(accountId) {
+        return this.__UserMedia.findAll({where: {authorAccountId: accountId}}).then(events => (events || []).map(e => new MediaEvent(e)));
+    }
 }
 
 /**
@@ -414,9 +856,92 @@ class MediaEvent {
     constructor(dbFields) {
         this.id = dbFields.id;
         this.userId = dbFields.userId;
+        this.authorAccountId = dbFields.authorAccountId;
+        this.mediaId = dbFields.mediaId;
+        this.mxEventId = dbFields.mxEventId;
+        this.mxRoomId = dbFields.mxRoomId;
+        this.bridgedAt = dbFields.bridgedAt ? timestamp(dbFields.bridgedAt) : null;
+        this.redactedAt = dbFields.redactedAt ? timestamp(dbFields.redactedAt) : null;
+    }
+}
+
+/**
+ * Represents a Media Comment from the database.
+ */
+class MediaComment {
+    constructor(dbFields) {
+        this.id = dbFields.id;
+        this.mediaId = dbFields.mediaId;
+        this.commentId = dbFields.commentId;
+        this.mxEventId = dbFields.mxEventId;
+        this.mxRoomId = dbFields.mxRoomId;
+        this.mxSenderId = dbFields.mxSenderId;
+    }
+}
+
+/**
+ * Represents a Media Like from the database.
+ */
+class MediaLike {
+    constructor(dbFields) {
+        this.id = dbFields.id;
         this.mediaId = dbFields.mediaId;
         this.mxEventId = dbFields.mxEventId;
         this.mxRoomId = dbFields.mxRoomId;
+        this.mxSenderId = dbFields.mxSenderId;
+    }
+}
+
+/**
+ * Represents uploaded content from the database.
+ */
+class CachedMedia {
+    constructor(dbFields) {
+        this.id = dbFields.id;
+        this.sourceUrl = dbFields.sourceUrl;
+        this.contentHash = dbFields.contentHash;
+        this.mxcUrl = dbFields.mxcUrl;
+        this.size = dbFields.size;
+        this.mimetype = dbFields.mimetype;
+    }
+}
+
+/**
+ * Represents an admin room from the database.
+ */
+class AdminRoomInfo {
+    constructor(dbFields) {
+        this.id = dbFields.id;
+        this.roomId = dbFields.roomId;
+        this.ownerMxId = dbFields.ownerMxId;
+    }
+}
+
+/**
+ * Represents a confirmation an admin room is waiting on from the database.
+ */
+class PendingConfirmation {
+    constructor(dbFields) {
+        this.id = dbFields.id;
+        this.roomId = dbFields.roomId;
+        this.mxId = dbFields.mxId;
+        this.command = dbFields.command;
+        this.data = dbFields.data ? JSON.parse(dbFields.data) : {};
+        this.expiresAt = timestamp(dbFields.expiresAt);
+    }
+}
+
+/**
+ * Represents an OAuth token from the database.
+ */
+class AuthToken {
+    constructor(dbFields) {
+        this.id = dbFields.id;
+        this.userId = dbFields.userId;
+        this.mxId = dbFields.mxId;
+        this.token = dbFields.token;
+        this.isInvalid = dbFields.isInvalid;
+        this.createdAt = dbFields.createdAt ? timestamp(dbFields.createdAt) : null;
     }
 }
 
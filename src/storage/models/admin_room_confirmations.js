@@ -0,0 +1,40 @@
+module.exports = function (sequelize, DataTypes) {
+    return sequelize.define('admin_room_confirmations', {
+        id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            autoIncrement: true,
+            primaryKey: true,
+            field: 'id'
+        },
+        roomId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'roomId'
+        },
+        mxId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'mxId'
+        },
+        command: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'command'
+        },
+        data: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+            field: 'data'
+        },
+        expiresAt: {
+            type: DataTypes.TIME,
+            allowNull: false,
+            field: 'expiresAt'
+        }
+    }, {
+        tableName: 'admin_room_confirmations',
+        underscored: false,
+        timestamps: false
+    });
+};
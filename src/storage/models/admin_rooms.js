@@ -0,0 +1,30 @@
+module.exports = function (sequelize, DataTypes) {
+    return sequelize.define('admin_rooms', {
+        id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            autoIncrement: true,
+            primaryKey: true,
+            field: 'id'
+        },
+        roomId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'roomId'
+        },
+        ownerMxId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'ownerMxId'
+        },
+        createdAt: {
+            type: DataTypes.TIME,
+            allowNull: true,
+            field: 'createdAt'
+        }
+    }, {
+        tableName: 'admin_rooms',
+        underscored: false,
+        timestamps: false
+    });
+};
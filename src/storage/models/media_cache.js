@@ -0,0 +1,45 @@
+module.exports = function (sequelize, DataTypes) {
+    return sequelize.define('media_cache', {
+        id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            autoIncrement: true,
+            primaryKey: true,
+            field: 'id'
+        },
+        sourceUrl: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'sourceUrl'
+        },
+        contentHash: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'contentHash'
+        },
+        mxcUrl: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'mxcUrl'
+        },
+        size: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            field: 'size'
+        },
+        mimetype: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'mimetype'
+        },
+        createdAt: {
+            type: DataTypes.TIME,
+            allowNull: true,
+            field: 'createdAt'
+        }
+    }, {
+        tableName: 'media_cache',
+        underscored: false,
+        timestamps: false
+    });
+};
@@ -0,0 +1,40 @@
+module.exports = function (sequelize, DataTypes) {
+    return sequelize.define('media_comments', {
+        id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            autoIncrement: true,
+            primaryKey: true,
+            field: 'id'
+        },
+        mediaId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'mediaId'
+        },
+        commentId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'commentId'
+        },
+        mxEventId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'mxEventId'
+        },
+        mxRoomId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'mxRoomId'
+        },
+        mxSenderId: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'mxSenderId'
+        }
+    }, {
+        tableName: 'media_comments',
+        underscored: false,
+        timestamps: false
+    });
+};
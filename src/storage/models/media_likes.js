@@ -0,0 +1,35 @@
+module.exports = function (sequelize, DataTypes) {
+    return sequelize.define('media_likes', {
+        id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            autoIncrement: true,
+            primaryKey: true,
+            field: 'id'
+        },
+        mediaId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'mediaId'
+        },
+        mxEventId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'mxEventId'
+        },
+        mxRoomId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'mxRoomId'
+        },
+        mxSenderId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            field: 'mxSenderId'
+        }
+    }, {
+        tableName: 'media_likes',
+        underscored: false,
+        timestamps: false
+    });
+};
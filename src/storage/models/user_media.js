@@ -9,13 +9,18 @@ module.exports = function (sequelize, DataTypes) {
         },
         userId: {
             type: DataTypes.INTEGER,
-            allowNull: false,
+            allowNull: true,
             field: 'userId',
             references: {
                 model: "users",
                 key: "id"
             }
         },
+        authorAccountId: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            field: 'authorAccountId'
+        },
         mediaId: {
             type: DataTypes.STRING,
             allowNull: false,
@@ -30,6 +35,16 @@ module.exports = function (sequelize, DataTypes) {
             type: DataTypes.STRING,
             allowNull: false,
             field: 'mxRoomId'
+        },
+        bridgedAt: {
+            type: DataTypes.TIME,
+            allowNull: true,
+            field: 'bridgedAt'
+        },
+        redactedAt: {
+            type: DataTypes.TIME,
+            allowNull: true,
+            field: 'redactedAt'
         }
     }, {
         tableName: 'user_media',
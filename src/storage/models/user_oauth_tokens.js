@@ -25,6 +25,16 @@ module.exports = function (sequelize, DataTypes) {
             type: DataTypes.STRING,
             allowNull: false,
             field: 'token'
+        },
+        isInvalid: {
+            type: DataTypes.BOOLEAN,
+            allowNull: true,
+            field: 'isInvalid'
+        },
+        createdAt: {
+            type: DataTypes.TIME,
+            allowNull: true,
+            field: 'createdAt'
         }
     }, {
         tableName: 'user_oauth_tokens',
@@ -0,0 +1,61 @@
+/**
+ * A simple in-memory cache that holds a limited number of entries, evicting the least recently used
+ * entry when it is full.
+ */
+class LruCache {
+
+    /**
+     * Creates a new LRU cache
+     * @param {number} maxSize the maximum number of entries to hold
+     */
+    constructor(maxSize) {
+        this._maxSize = maxSize;
+        this._entries = new Map(); // iterates in insertion order, so the least recently used entry is first
+    }
+
+    /**
+     * Gets an entry from the cache, marking it as recently used
+     * @param {string} key the key to look up
+     * @return {*} the value, or undefined if the key is not cached
+     */
+    get(key) {
+        if (!this._entries.has(key)) return undefined;
+
+        var value = this._entries.get(key);
+        this._entries.delete(key);
+        this._entries.set(key, value);
+        return value;
+    }
+
+    /**
+     * Determines if a key is cached. Does not mark the entry as recently used.
+     * @param {string} key the key to look up
+     * @return {boolean} true if the key is cached
+     */
+    has(key) {
+        return this._entries.has(key);
+    }
+
+    /**
+     * Adds or replaces an entry in the cache, evicting the least recently used entry if the cache is full
+     * @param {string} key the key to cache the value under
+     * @param {*} value the value to cache
+     */
+    set(key, value) {
+        this._entries.delete(key);
+        this._entries.set(key, value);
+
+        while (this._entries.size > this._maxSize)
+            this._entries.delete(this._entries.keys().next().value);
+    }
+
+    /**
+     * Removes an entry from the cache
+     * @param {string} key the key to remove
+     */
+    delete(key) {
+        this._entries.delete(key);
+    }
+}
+
+module.exports = LruCache;
@@ -1,13 +1,11 @@
 // File based on the following implementation of utils.js in matrix-appservice-twitter by Half-Shot:
 // https://github.com/Half-Shot/matrix-appservice-twitter/blob/6fc01588e51a9eb9a32e14a6b0338abfd7cc32ea/src/util.js
 
-var https = require('https');
-var http = require('http');
-var Buffer = require("buffer").Buffer;
 var log = require('./LogService');
 var mime = require('mime');
 var parseDataUri = require("parse-data-uri");
 var request = require('request');
+var crypto = require('crypto');
 var fs = require('fs');
 var mkdirp = require('mkdirp');
 var uuid = require("uuid");
@@ -17,76 +15,225 @@ var path = require('path');
  Utility module for regularly used functions.
  */
 
+const MAX_REDIRECTS = 5;
+
+var uploadOptions = {
+    maxSize: 50 * 1024 * 1024, // bytes
+    retries: 3
+};
+
+/**
+ * Sets the limits used when uploading content from a URL
+ *
+ * @param  {number} maxSize the maximum size, in megabytes, of content that may be uploaded
+ * @param  {number} retries how many times a failed upload is retried
+ */
+function setUploadOptions(maxSize, retries) {
+    if (maxSize) uploadOptions.maxSize = maxSize * 1024 * 1024;
+    if (retries !== undefined && retries !== null) uploadOptions.retries = retries;
+}
+
 /**
  * uploadContentFromUrl - Upload content from a given URL to the homeserver
- * and return a MXC URL.
+ * and return a MXC URL. The content is downloaded to a temporary file rather
+ * than being held in memory, and failed transfers are retried.
  *
  * @param  {Bridge} bridge the bridge object of this application
  * @param  {string} url the URL to be downloaded from.
  * @param  {string|Intent} [id] either the ID of the uploader, or a Intent object - optional.
  * @param  {string} [name] name of the file. Will use the URL filename otherwise - optional.
- * @return {Promise<string>} Promise resolving with a MXC URL.
+ * @return {Promise<string>} Promise resolving with a MXC URL, or rejecting if the content could not be uploaded.
  */
 function uploadContentFromUrl(bridge, url, id, name) {
-    log.verbose("utils", "Downloading image from " + url);
-    var contenttype;
+    return uploadHashedContentFromUrl(bridge, url, id, name).then(result => result.contentUri);
+}
+
+/**
+ * Uploads content from a given URL to the homeserver like `uploadContentFromUrl`,
+ * also providing the SHA-256 hash, size and mimetype of the content. The hash is
+ * known before anything is sent to the homeserver, so `findExisting` can supply
+ * a MXC URL for identical content to skip the upload.
+ *
+ * @param  {Bridge} bridge the bridge object of this application
+ * @param  {string} url the URL to be downloaded from.
+ * @param  {string|Intent} [id] either the ID of the uploader, or a Intent object - optional.
+ * @param  {string} [name] name of the file. Will use the URL filename otherwise - optional.
+ * @param  {function(string):Promise<string>} [findExisting] given the content hash, resolves to the MXC URL of identical content already uploaded, or null - optional.
+ * @return {Promise<{contentUri: string, contentHash: string, size: number, mimetype: string, uploaded: boolean}>} Promise resolving with the MXC URL and content information.
+ */
+function uploadHashedContentFromUrl(bridge, url, id, name, findExisting) {
     id = id || null;
     name = name || null;
-    return new Promise((resolve, reject) => {
+    findExisting = findExisting || (() => Promise.resolve(null));
 
-        var ht = url.startsWith("https") ? https : http;
+    if (typeof id == "string" || id == null) {
+        id = bridge.getIntent(id);
+    }
+    if (name == null) {
+        name = url.split("?")[0].split("/");
+        name = name[name.length - 1];
+    }
 
-        ht.get((url), (res) => {
-            if (res.headers.hasOwnProperty("content-type")) {
-                contenttype = res.headers["content-type"];
-            } else {
-                log.info("utils", "No content-type given by server, guessing based on file name.");
-                contenttype = mime.lookup(url);
-            }
+    var download = null;
+    var cleanup = () => {
+        if (download) fs.unlink(download.path, err => {
+            if (err) log.warn("UploadContent", "Could not remove temporary file " + download.path + ": " + err);
+        });
+    };
+
+    return withRetries("download " + url, () => downloadContent(url, name)).then(result => {
+        download = result;
+        return findExisting(download.contentHash);
+    }).then(existingUri => {
+        if (existingUri) return {contentUri: existingUri, uploaded: false};
+        return withRetries("upload " + url, () => uploadFile(id.getClient(), download, name)).then(contentUri => {
+            log.info("UploadContent", "Media uploaded to " + contentUri);
+            return {contentUri: contentUri, uploaded: true};
+        });
+    }).then(result => {
+        cleanup();
+        result.contentHash = download.contentHash;
+        result.size = download.size;
+        result.mimetype = download.mimetype;
+        return result;
+    }, err => {
+        cleanup();
+        log.error("UploadContent", "Failed to upload content from " + url + ":\n" + err);
+        throw err;
+    });
+}
 
-            if (name == null) {
-                name = url.split("/");
-                name = name[name.length - 1];
+/**
+ * Runs an operation, retrying it as configured by the upload options until it succeeds or fails permanently
+ *
+ * @param  {string} description what is being attempted, for logging
+ * @param  {function():Promise<*>} fn the operation to run
+ * @return {Promise<*>} Promise resolving with the result of the operation, or rejecting with its last error.
+ */
+function withRetries(description, fn) {
+    var attempt = 0;
+    var tryOnce = () => {
+        attempt++;
+        log.verbose("utils", "Trying to " + description + " (attempt " + attempt + "/" + (uploadOptions.retries + 1) + ")");
+        return fn().catch(err => {
+            if (err.permanent || attempt > uploadOptions.retries) throw err;
+            log.warn("UploadContent", "Failed to " + description + ", retrying: " + err.message);
+            return tryOnce();
+        });
+    };
+    return tryOnce();
+}
+
+/**
+ * Creates an error for a failed transfer
+ *
+ * @param  {string|Error} message the reason for the failure
+ * @param  {boolean} [permanent] true if retrying won't fix the failure
+ * @return {Error} the error, with `permanent` set
+ */
+function transferError(message, permanent) {
+    var err = message instanceof Error ? message : new Error(message);
+    err.permanent = !!permanent;
+    return err;
+}
+
+/**
+ * Downloads content from a URL to a temporary file in a single attempt, hashing it along the way
+ *
+ * @param  {string} url the URL to download from, following redirects
+ * @param  {string} name the name of the file, used to guess the mimetype if the server doesn't give one
+ * @return {Promise<{path: string, contentHash: string, size: number, mimetype: string}>} Promise resolving with the temporary file and content information. Errors that retrying won't fix have `permanent` set.
+ */
+function downloadContent(url, name) {
+    var root = "temp";
+    var filePath = path.join(root, uuid.v4() + ".data");
+    mkdirp.sync(root);
+
+    return new Promise((resolve, reject) => {
+        var failed = false;
+        var file = null;
+        var fail = (message, permanent) => {
+            if (failed) return;
+            failed = true;
+            download.abort(); // no point in downloading the rest
+            if (file) file.destroy();
+            fs.unlink(filePath, () => null); // the file may not have been created yet
+            reject(transferError(message, permanent));
+        };
+
+        var download = request.get({url: url, followRedirect: true, maxRedirects: MAX_REDIRECTS});
+        download.on('error', err => fail(err));
+        download.on('response', res => {
+            if (res.statusCode >= 400) {
+                return fail("Server responded with " + res.statusCode + " for " + url, res.statusCode < 500);
             }
+
             var size = parseInt(res.headers["content-length"]);
-            if (isNaN(size)) {
-                log.warn("UploadContentFromUrl", "Content-length is not valid. Assuming 512kb size");
-                size = 512 * 1024;
+            if (!isNaN(size) && size > uploadOptions.maxSize) {
+                return fail("Content is too large (" + size + " bytes) for " + url, true);
             }
-            var buffer;
-            if (Buffer.alloc) {//Since 5.10
-                buffer = Buffer.alloc(size);
-            } else {//Deprecated
-                buffer = new Buffer(size);
+
+            var contentType = res.headers["content-type"];
+            if (!contentType) {
+                log.info("utils", "No content-type given by server, guessing based on file name.");
+                contentType = mime.lookup(name);
             }
 
-            var bsize = 0;
-            res.on('data', (d) => {
-                d.copy(buffer, bsize);
-                bsize += d.length;
+            var received = 0;
+            var hash = crypto.createHash('sha256');
+            file = fs.createWriteStream(filePath);
+            file.on('error', err => fail(err));
+            file.on('finish', () => {
+                if (!failed) resolve({path: filePath, contentHash: hash.digest('hex'), size: received, mimetype: contentType});
             });
-            res.on('error', () => {
-                reject("Failed to download.");
-            });
-            res.on('end', () => {
-                resolve(buffer);
+
+            res.on('data', chunk => {
+                hash.update(chunk);
+                received += chunk.length;
+                if (received > uploadOptions.maxSize) {
+                    fail("Content is too large (more than " + uploadOptions.maxSize + " bytes) for " + url, true);
+                }
             });
-        })
-    }).then((buffer) => {
-        if (typeof id == "string" || id == null) {
-            id = bridge.getIntent(id);
-        }
-        return id.getClient().uploadContent({
-            stream: buffer,
-            name: name,
-            type: contenttype
+            res.on('error', err => fail(err));
+            res.pipe(file);
         });
-    }).then((response) => {
-        var content_uri = JSON.parse(response).content_uri;
-        log.info("UploadContent", "Media uploaded to " + content_uri);
-        return content_uri;
-    }).catch(function (reason) {
-        log.error("UploadContent", "Failed to upload content:\n" + reason)
+    });
+}
+
+/**
+ * Streams a downloaded file to the homeserver's media repository in a single attempt
+ *
+ * @param  {MatrixClient} client the client to upload the content as
+ * @param  {{path: string, size: number, mimetype: string}} download the downloaded content
+ * @param  {string} name the name of the file
+ * @return {Promise<string>} Promise resolving with the MXC URL. Errors that retrying won't fix have `permanent` set.
+ */
+function uploadFile(client, download, name) {
+    return new Promise((resolve, reject) => {
+        var upload = request.post({
+            url: client.baseUrl + "/_matrix/media/r0/upload",
+            qs: {filename: name, access_token: client.getAccessToken(), user_id: client.credentials.userId},
+            headers: {"Content-Type": download.mimetype, "Content-Length": download.size}
+        }, (err, response, body) => {
+            if (err) return reject(transferError(err));
+            if (response.statusCode !== 200)
+                return reject(transferError("Homeserver responded with " + response.statusCode + " to upload: " + body, response.statusCode === 413));
+
+            try {
+                var contentUri = JSON.parse(body).content_uri;
+                if (!contentUri) return reject(transferError("Homeserver did not return a content URI: " + body));
+                resolve(contentUri);
+            } catch (parseErr) {
+                reject(transferError(parseErr));
+            }
+        });
+
+        var file = fs.createReadStream(download.path);
+        file.on('error', err => {
+            upload.abort();
+            reject(transferError(err));
+        });
+        file.pipe(upload);
     });
 }
 
@@ -151,7 +298,9 @@ function downloadFileTemp(uri, ext = '.data') {
 }
 
 module.exports = {
+    setUploadOptions: setUploadOptions,
     uploadContentFromUrl: uploadContentFromUrl,
+    uploadHashedContentFromUrl: uploadHashedContentFromUrl,
     uploadContentFromDataUri: uploadContentFromDataUri,
     downloadFile: downloadFile,
     downloadFileTemp: downloadFileTemp,